@@ -15,6 +15,8 @@ export class Canvas2DRenderer {
         this.lastGridX = -1;
         this.lastGridY = -1;
 
+        this.listeners = new Set();
+
         this.init();
     }
 
@@ -66,8 +68,18 @@ export class Canvas2DRenderer {
         this.lastGridY = gridY;
     }
 
-    // Draw a single block
+    // Draw a single block (a null color erases it)
     drawBlock(gridX, gridY, color) {
+        if (color === null) {
+            this.ctx.clearRect(
+                gridX * this.BLOCK_SIZE,
+                gridY * this.BLOCK_SIZE,
+                this.BLOCK_SIZE,
+                this.BLOCK_SIZE
+            );
+            return;
+        }
+
         this.ctx.fillStyle = color;
         this.ctx.fillRect(
             gridX * this.BLOCK_SIZE,
@@ -106,12 +118,49 @@ export class Canvas2DRenderer {
     }
 
     stopDrawing() {
+        const wasDrawing = this.isDrawing;
         this.isDrawing = false;
         this.lastGridX = -1;
         this.lastGridY = -1;
+
+        // A finished stroke counts as one change
+        if (wasDrawing) this.notifyListeners();
     }
 
     clear() {
         this.ctx.clearRect(0, 0, this.width, this.height);
+        this.notifyListeners();
+    }
+
+    // Subscribe to finished strokes and clears
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyListeners() {
+        for (const listener of this.listeners) {
+            listener(this);
+        }
+    }
+
+    // Canvas content as a PNG data URL (null when nothing has been drawn)
+    toDataURL() {
+        const pixels = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height).data;
+        const isBlank = !pixels.some((value, i) => i % 4 === 3 && value !== 0);
+        return isBlank ? null : this.canvas.toDataURL('image/png');
+    }
+
+    // Draw a saved data URL, stretched to the current canvas size
+    loadDataURL(dataURL) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                this.ctx.drawImage(image, 0, 0, this.width, this.height);
+                resolve();
+            };
+            image.onerror = () => reject(new Error('Could not load 2D canvas image'));
+            image.src = dataURL;
+        });
     }
 }
@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { CHUNK_SIZE } from '../utils/constants.js';
+import { GreedyMesher } from './GreedyMesher.js';
+import { MeshBuilder } from './MeshBuilder.js';
+
+// Draws the world as one greedy-meshed, vertex-colored mesh per chunk. Edits only
+// mark the chunks they touch (plus neighbours whose faces or occlusion they affect)
+// dirty, and dirty chunks are re-meshed once per frame in flush().
+export class ChunkMeshLayer {
+  constructor(scene, voxelWorld, palette, { ambientOcclusion = true } = {}) {
+    this.voxelWorld = voxelWorld;
+    this.palette = palette;
+    this.mesher = new GreedyMesher(voxelWorld, { ambientOcclusion });
+
+    this.group = new THREE.Group();
+    this.group.name = 'voxelChunks';
+    scene.add(this.group);
+
+    // Look, set by the active render style (see setStyle)
+    this.material = new THREE.MeshStandardMaterial({ vertexColors: true });
+    this.colorSource = palette;
+    this.outlineMaterial = null;
+
+    // Chunk key -> Mesh (with its outline, if any, as a child)
+    this.meshes = new Map();
+    this.dirtyChunks = new Set();
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  // Apply a render style: the voxel material (using vertex colors), an optional single
+  // color replacing the palette, and optional crease outlines
+  setStyle({ material, uniformColor = null, outline = null }) {
+    const previous = this.material;
+    this.material = material;
+    for (const mesh of this.meshes.values()) {
+      mesh.material = material;
+    }
+    previous.dispose();
+
+    const colorSource = uniformColor === null ? this.palette : { getColor: () => uniformColor };
+    const hadOutline = this.outlineMaterial !== null;
+
+    this.outlineMaterial?.dispose();
+    this.outlineMaterial = outline ? new THREE.LineBasicMaterial({ color: outline.color }) : null;
+
+    if (colorSource !== this.colorSource || hadOutline || outline) {
+      this.colorSource = colorSource;
+      this.markAllDirty();
+    }
+  }
+
+  setAmbientOcclusion(enabled) {
+    if (this.mesher.ambientOcclusion === enabled) return;
+
+    this.mesher.ambientOcclusion = enabled;
+    this.markAllDirty();
+  }
+
+  // Cross-section { axis, level } or null; only chunks the cut moves through change
+  setSlice(slice) {
+    const previous = this.mesher.slice;
+    this.mesher.slice = slice && { ...slice };
+
+    const axis = slice?.axis ?? previous?.axis;
+    if (!axis) return;
+
+    const affected = (key) => {
+      if (!previous || !slice || previous.axis !== slice.axis) return true;
+      const chunk = this.voxelWorld.parseKey(key)[axis];
+      const low = Math.min(previous.level, slice.level);
+      const high = Math.max(previous.level, slice.level);
+      // Chunks spanning (low, high + 1], including neighbours of the capped layer
+      return (chunk + 1) * CHUNK_SIZE > low && chunk * CHUNK_SIZE <= high + 1;
+    };
+
+    for (const key of this.meshes.keys()) {
+      if (affected(key)) this.dirtyChunks.add(key);
+    }
+    for (const chunk of this.voxelWorld.getChunks()) {
+      const key = this.voxelWorld.getKey(chunk.cx, chunk.cy, chunk.cz);
+      if (affected(key)) this.dirtyChunks.add(key);
+    }
+  }
+
+  // Mark chunks touched by a VoxelWorld change event; no change means everything
+  update(change) {
+    if (!change) {
+      this.markAllDirty();
+      return;
+    }
+
+    for (const list of [change.added, change.removed, change.recolored]) {
+      for (const { x, y, z } of list) {
+        this.markCellDirty(x, y, z);
+      }
+    }
+  }
+
+  markAllDirty() {
+    for (const key of this.meshes.keys()) this.dirtyChunks.add(key);
+    for (const chunk of this.voxelWorld.getChunks()) {
+      this.dirtyChunks.add(this.voxelWorld.getKey(chunk.cx, chunk.cy, chunk.cz));
+    }
+  }
+
+  // A cell on a chunk border also changes the faces (and, diagonally, the occlusion)
+  // of the neighbouring chunks it touches
+  markCellDirty(x, y, z) {
+    const position = [x, y, z];
+    const chunk = position.map((value) => Math.floor(value / CHUNK_SIZE));
+
+    const offsets = position.map((value, axis) => {
+      const local = value - chunk[axis] * CHUNK_SIZE;
+      if (local === 0) return [0, -1];
+      if (local === CHUNK_SIZE - 1) return [0, 1];
+      return [0];
+    });
+
+    for (const dx of offsets[0]) {
+      for (const dy of offsets[1]) {
+        for (const dz of offsets[2]) {
+          this.dirtyChunks.add(this.voxelWorld.getKey(chunk[0] + dx, chunk[1] + dy, chunk[2] + dz));
+        }
+      }
+    }
+  }
+
+  // Re-mesh every dirty chunk
+  flush() {
+    if (this.dirtyChunks.size === 0) return;
+
+    for (const key of this.dirtyChunks) {
+      this.remeshChunk(key);
+    }
+    this.dirtyChunks.clear();
+  }
+
+  remeshChunk(key) {
+    const { x: cx, y: cy, z: cz } = this.voxelWorld.parseKey(key);
+    const chunk = this.voxelWorld.getChunk(cx, cy, cz);
+    const quads = chunk ? this.mesher.meshChunk(chunk) : [];
+
+    let mesh = this.meshes.get(key);
+    if (quads.length === 0) {
+      if (mesh) {
+        this.removeOutline(mesh);
+        this.group.remove(mesh);
+        mesh.geometry.dispose();
+        this.meshes.delete(key);
+      }
+      return;
+    }
+
+    const geometry = MeshBuilder.buildGeometry(quads, { palette: this.colorSource });
+    if (mesh) {
+      mesh.geometry.dispose();
+      mesh.geometry = geometry;
+      this.removeOutline(mesh);
+    } else {
+      mesh = new THREE.Mesh(geometry, this.material);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      this.meshes.set(key, mesh);
+      this.group.add(mesh);
+    }
+
+    if (this.outlineMaterial) {
+      const outlineGeometry = new THREE.BufferGeometry();
+      outlineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(this.mesher.meshEdges(chunk), 3));
+      mesh.add(new THREE.LineSegments(outlineGeometry, this.outlineMaterial));
+    }
+  }
+
+  removeOutline(mesh) {
+    for (const child of [...mesh.children]) {
+      mesh.remove(child);
+      child.geometry.dispose();
+    }
+  }
+
+  // Drop all chunk meshes (e.g. while another render mode is active)
+  clear() {
+    for (const mesh of this.meshes.values()) {
+      this.removeOutline(mesh);
+      this.group.remove(mesh);
+      mesh.geometry.dispose();
+    }
+    this.meshes.clear();
+    this.dirtyChunks.clear();
+  }
+}
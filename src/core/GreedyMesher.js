@@ -0,0 +1,262 @@
+import { CHUNK_SIZE } from '../utils/constants.js';
+
+// Padded chunk edge: one extra cell on each side for neighbour lookups
+const PADDED = CHUNK_SIZE + 2;
+
+// Mask values pack colorIndex + 1 in the low 9 bits and, from bit 9 up, 2 bits of
+// occlusion per face corner in (-u -v), (+u -v), (+u +v), (-u +v) order
+const COLOR_BITS = 9;
+const COLOR_MASK = (1 << COLOR_BITS) - 1;
+const CORNER_SIGNS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+export class GreedyMesher {
+  constructor(voxelWorld, { ambientOcclusion = false } = {}) {
+    this.voxelWorld = voxelWorld;
+
+    // When set, quads carry per-vertex ao levels and only faces with equal levels merge
+    this.ambientOcclusion = ambientOcclusion;
+
+    // Cross-section: { axis: 'x' | 'y' | 'z', level } meshes cells above level as empty,
+    // so the cut gets capped with faces
+    this.slice = null;
+
+    // Reused scratch buffers (colorIndex per cell, -1 = empty)
+    this.volume = new Int16Array(PADDED * PADDED * PADDED);
+    this.mask = new Int32Array(CHUNK_SIZE * CHUNK_SIZE);
+  }
+
+  // Mesh every chunk of the world into one quad list
+  meshWorld() {
+    const quads = [];
+    for (const chunk of this.voxelWorld.getChunks()) {
+      this.meshChunk(chunk, quads);
+    }
+    return quads;
+  }
+
+  // Mesh a single chunk into quads:
+  // { colorIndex, normal: [x, y, z], vertices: [[x, y, z] x4], ao?: [0-3 x4] } wound
+  // counter-clockwise when seen from outside. Faces touching a filled neighbour (even
+  // in another chunk) are culled, and coplanar faces of the same color are merged.
+  // ao[k] is 3 for an unoccluded vertex down to 0 for a fully enclosed corner.
+  meshChunk(chunk, quads = []) {
+    const origin = [chunk.cx * CHUNK_SIZE, chunk.cy * CHUNK_SIZE, chunk.cz * CHUNK_SIZE];
+    this.fillVolume(chunk, origin);
+
+    const mask = this.mask;
+    const pos = [0, 0, 0];
+
+    for (let d = 0; d < 3; d++) {
+      const u = (d + 1) % 3;
+      const v = (d + 2) % 3;
+
+      for (const dir of [1, -1]) {
+        const normal = [0, 0, 0];
+        normal[d] = dir;
+
+        for (let slice = 0; slice < CHUNK_SIZE; slice++) {
+          // Build the face mask for this slice: colorIndex + 1 (and occlusion) of visible faces
+          let n = 0;
+          pos[d] = slice;
+          for (let j = 0; j < CHUNK_SIZE; j++) {
+            pos[v] = j;
+            for (let i = 0; i < CHUNK_SIZE; i++, n++) {
+              pos[u] = i;
+              const cell = this.volumeAt(pos[0], pos[1], pos[2]);
+              pos[d] += dir;
+              const neighbour = this.volumeAt(pos[0], pos[1], pos[2]);
+
+              if (cell >= 0 && neighbour < 0) {
+                mask[n] = cell + 1;
+                if (this.ambientOcclusion) {
+                  mask[n] |= this.faceOcclusion(pos, u, v) << COLOR_BITS;
+                }
+              } else {
+                mask[n] = 0;
+              }
+              pos[d] -= dir;
+            }
+          }
+
+          // Greedily grow rectangles of equal mask values
+          n = 0;
+          for (let j = 0; j < CHUNK_SIZE; j++) {
+            for (let i = 0; i < CHUNK_SIZE; ) {
+              const value = mask[n];
+              if (value === 0) {
+                i++;
+                n++;
+                continue;
+              }
+
+              let width = 1;
+              while (i + width < CHUNK_SIZE && mask[n + width] === value) width++;
+
+              let height = 1;
+              grow: while (j + height < CHUNK_SIZE) {
+                for (let k = 0; k < width; k++) {
+                  if (mask[n + k + height * CHUNK_SIZE] !== value) break grow;
+                }
+                height++;
+              }
+
+              quads.push(this.createQuad(origin, d, u, v, dir, slice, i, j, width, height, value, normal));
+
+              for (let h = 0; h < height; h++) {
+                mask.fill(0, n + h * CHUNK_SIZE, n + h * CHUNK_SIZE + width);
+              }
+              i += width;
+              n += width;
+            }
+          }
+        }
+      }
+    }
+
+    return quads;
+  }
+
+  // Crease edges of a chunk for outlines, as line segment endpoints [x, y, z, ...].
+  // A lattice edge is a crease unless its four surrounding cells form a flat surface
+  // (two side by side) or are all empty/all solid. An edge on a chunk border is shared
+  // with the neighbours, so only the chunk holding the first solid cell around it emits
+  // it: each outline is drawn once, even next to a chunk that has no mesh.
+  meshEdges(chunk) {
+    const origin = [chunk.cx * CHUNK_SIZE, chunk.cy * CHUNK_SIZE, chunk.cz * CHUNK_SIZE];
+    this.fillVolume(chunk, origin);
+
+    const positions = [];
+    const pos = [0, 0, 0];
+    const solid = () => this.volumeAt(pos[0], pos[1], pos[2]) >= 0;
+
+    for (let a = 0; a < 3; a++) {
+      const b = (a + 1) % 3;
+      const c = (a + 2) % 3;
+
+      for (let i = 0; i < CHUNK_SIZE; i++) {
+        pos[a] = i;
+        for (let j = 0; j <= CHUNK_SIZE; j++) {
+          for (let k = 0; k <= CHUNK_SIZE; k++) {
+            // The four cells around the edge, going around it
+            pos[b] = j - 1; pos[c] = k - 1;
+            const s0 = solid();
+            pos[b] = j;
+            const s1 = solid();
+            pos[c] = k;
+            const s2 = solid();
+            pos[b] = j - 1;
+            const s3 = solid();
+
+            const count = s0 + s1 + s2 + s3;
+            const crease = count === 1 || count === 3 || (count === 2 && s0 === s2);
+            if (!crease) continue;
+
+            const [ownerB, ownerC] = s0 ? [j - 1, k - 1] : s1 ? [j, k - 1] : s2 ? [j, k] : [j - 1, k];
+            if (ownerB < 0 || ownerB >= CHUNK_SIZE || ownerC < 0 || ownerC >= CHUNK_SIZE) continue;
+
+            const start = [0, 0, 0];
+            start[a] = origin[a] + i - 0.5;
+            start[b] = origin[b] + j - 0.5;
+            start[c] = origin[c] + k - 0.5;
+            const end = [...start];
+            end[a] += 1;
+            positions.push(...start, ...end);
+          }
+        }
+      }
+    }
+
+    return positions;
+  }
+
+  // Copy the chunk plus a one-cell border from its neighbours into the scratch volume
+  fillVolume(chunk, origin) {
+    const volume = this.volume;
+    const sliceAxis = this.slice ? ['x', 'y', 'z'].indexOf(this.slice.axis) : -1;
+    const cell = [0, 0, 0];
+    let i = 0;
+
+    for (let z = -1; z <= CHUNK_SIZE; z++) {
+      for (let y = -1; y <= CHUNK_SIZE; y++) {
+        for (let x = -1; x <= CHUNK_SIZE; x++, i++) {
+          const inside =
+            x >= 0 && x < CHUNK_SIZE &&
+            y >= 0 && y < CHUNK_SIZE &&
+            z >= 0 && z < CHUNK_SIZE;
+
+          cell[0] = x;
+          cell[1] = y;
+          cell[2] = z;
+          if (sliceAxis >= 0 && origin[sliceAxis] + cell[sliceAxis] > this.slice.level) {
+            volume[i] = -1;
+            continue;
+          }
+
+          volume[i] = inside
+            ? chunk.get(x, y, z)
+            : this.voxelWorld.getColorIndex(origin[0] + x, origin[1] + y, origin[2] + z);
+        }
+      }
+    }
+  }
+
+  // Occlusion count (0-3) per face corner, packed 2 bits each. pos is the empty cell
+  // in front of the face; a corner is darkened by the cells beside and diagonal to it.
+  faceOcclusion(pos, u, v) {
+    let packed = 0;
+
+    CORNER_SIGNS.forEach(([su, sv], k) => {
+      pos[u] += su;
+      const side1 = this.volumeAt(pos[0], pos[1], pos[2]) >= 0;
+      pos[v] += sv;
+      const corner = this.volumeAt(pos[0], pos[1], pos[2]) >= 0;
+      pos[u] -= su;
+      const side2 = this.volumeAt(pos[0], pos[1], pos[2]) >= 0;
+      pos[v] -= sv;
+
+      // Two solid sides hide the corner completely
+      const occlusion = side1 && side2 ? 3 : side1 + side2 + corner;
+      packed |= occlusion << (k * 2);
+    });
+
+    return packed;
+  }
+
+  // Lookup in chunk-local coordinates (-1..CHUNK_SIZE)
+  volumeAt(x, y, z) {
+    return this.volume[(x + 1) + PADDED * ((y + 1) + PADDED * (z + 1))];
+  }
+
+  createQuad(origin, d, u, v, dir, slice, i, j, width, height, value, normal) {
+    // Voxels are centered on integer coordinates, so faces sit at ±0.5
+    const plane = origin[d] + slice + dir * 0.5;
+    const u0 = origin[u] + i - 0.5;
+    const u1 = u0 + width;
+    const v0 = origin[v] + j - 0.5;
+    const v1 = v0 + height;
+
+    const corner = (cu, cv) => {
+      const p = [0, 0, 0];
+      p[d] = plane;
+      p[u] = cu;
+      p[v] = cv;
+      return p;
+    };
+
+    // (d, u, v) is a right-handed cycle, so u then v runs counter-clockwise around +d
+    const vertices = dir > 0
+      ? [corner(u0, v0), corner(u1, v0), corner(u1, v1), corner(u0, v1)]
+      : [corner(u0, v0), corner(u0, v1), corner(u1, v1), corner(u1, v0)];
+
+    const quad = { colorIndex: (value & COLOR_MASK) - 1, normal: [...normal], vertices };
+
+    if (this.ambientOcclusion) {
+      const level = (k) => 3 - ((value >> (COLOR_BITS + k * 2)) & 3);
+      quad.ao = dir > 0
+        ? [level(0), level(1), level(2), level(3)]
+        : [level(0), level(3), level(2), level(1)];
+    }
+
+    return quad;
+  }
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { AO_LEVELS } from '../utils/constants.js';
+
+export class MeshBuilder {
+  // Build an indexed BufferGeometry from GreedyMesher quads.
+  // With a palette, a per-vertex color attribute is written as well, darkened by
+  // the quads' ambient occlusion levels when present.
+  static buildGeometry(quads, { palette = null } = {}) {
+    const positions = new Float32Array(quads.length * 4 * 3);
+    const normals = new Float32Array(quads.length * 4 * 3);
+    const colors = palette ? new Float32Array(quads.length * 4 * 3) : null;
+    const indices = new (quads.length * 4 > 65535 ? Uint32Array : Uint16Array)(quads.length * 6);
+    const color = new THREE.Color();
+
+    quads.forEach((quad, q) => {
+      if (colors) color.setHex(palette.getColor(quad.colorIndex));
+
+      quad.vertices.forEach(([x, y, z], k) => {
+        const i = (q * 4 + k) * 3;
+        positions[i] = x;
+        positions[i + 1] = y;
+        positions[i + 2] = z;
+        normals[i] = quad.normal[0];
+        normals[i + 1] = quad.normal[1];
+        normals[i + 2] = quad.normal[2];
+
+        if (colors) {
+          const shade = quad.ao ? AO_LEVELS[quad.ao[k]] : 1;
+          colors[i] = color.r * shade;
+          colors[i + 1] = color.g * shade;
+          colors[i + 2] = color.b * shade;
+        }
+      });
+
+      // Two counter-clockwise triangles per quad, split along the diagonal that keeps
+      // occlusion gradients symmetric
+      const v = q * 4;
+      if (MeshBuilder.flipDiagonal(quad)) {
+        indices.set([v + 1, v + 2, v + 3, v + 1, v + 3, v], q * 6);
+      } else {
+        indices.set([v, v + 1, v + 2, v, v + 2, v + 3], q * 6);
+      }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    if (colors) {
+      geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    }
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    return geometry;
+  }
+
+  // Whether a quad should be split along its 1-3 diagonal instead of 0-2
+  static flipDiagonal(quad) {
+    return quad.ao ? quad.ao[0] + quad.ao[2] < quad.ao[1] + quad.ao[3] : false;
+  }
+
+  // Split quads into one list per colorIndex
+  static groupByColor(quads) {
+    const groups = new Map();
+    for (const quad of quads) {
+      if (!groups.has(quad.colorIndex)) {
+        groups.set(quad.colorIndex, []);
+      }
+      groups.get(quad.colorIndex).push(quad);
+    }
+    return groups;
+  }
+}
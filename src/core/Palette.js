@@ -0,0 +1,97 @@
+import { COLORS, MAX_PALETTE_SIZE } from '../utils/constants.js';
+
+export class Palette {
+  constructor(colors = COLORS) {
+    // Project colors as 0xRRGGBB numbers; voxels refer to them by index
+    this.colors = [];
+    this.listeners = new Set();
+
+    this.setColors(colors);
+  }
+
+  // Replace all colors (clamped to MAX_PALETTE_SIZE)
+  setColors(colors) {
+    const next = colors.slice(0, MAX_PALETTE_SIZE).map((color) => color & 0xffffff);
+    this.colors = next.length > 0 ? next : [...COLORS];
+    this.notifyListeners();
+  }
+
+  // Get all colors as a copy
+  getColors() {
+    return [...this.colors];
+  }
+
+  // Get color at index (falls back to the first entry for stale indices)
+  getColor(index) {
+    return this.colors[index] ?? this.colors[0];
+  }
+
+  // Get color at index as a CSS hex string
+  getCSSColor(index) {
+    return '#' + this.getColor(index).toString(16).padStart(6, '0');
+  }
+
+  size() {
+    return this.colors.length;
+  }
+
+  isFull() {
+    return this.colors.length >= MAX_PALETTE_SIZE;
+  }
+
+  // Index of the closest color by squared RGB distance
+  findNearest(color) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    this.colors.forEach((candidate, index) => {
+      const dr = ((color >> 16) & 255) - ((candidate >> 16) & 255);
+      const dg = ((color >> 8) & 255) - ((candidate >> 8) & 255);
+      const db = (color & 255) - (candidate & 255);
+      const distance = dr * dr + dg * dg + db * db;
+
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  // Map foreign colors to palette indices: exact matches are reused, missing
+  // colors are appended while there is room, the rest snap to the nearest entry
+  mergeColors(colors) {
+    const before = this.colors.length;
+
+    const indices = colors.map((color) => {
+      const rgb = color & 0xffffff;
+      const existing = this.colors.indexOf(rgb);
+      if (existing >= 0) return existing;
+
+      if (!this.isFull()) {
+        this.colors.push(rgb);
+        return this.colors.length - 1;
+      }
+
+      return this.findNearest(rgb);
+    });
+
+    if (this.colors.length !== before) {
+      this.notifyListeners();
+    }
+    return indices;
+  }
+
+  // Subscribe to changes
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    for (const listener of this.listeners) {
+      listener(this);
+    }
+  }
+}
@@ -0,0 +1,72 @@
+import { RENDER_MODES } from '../utils/constants.js';
+
+// Render style presets. Each one picks the voxel render path and describes the
+// voxel, grid, boundary box and cursor looks; VoxelRenderer builds the materials.
+//
+//   material:     voxel material type ('phong' | 'standard' | 'toon') and parameters
+//   wireframe:    per-voxel wireframe overlay (instanced path only)
+//   outline:      crease lines around the shape (chunked path only)
+//   uniformColor: ignore the palette and shade every voxel with one color
+//   cursor:       fill and outline colors; null follows the selected palette color
+export const RENDER_STYLES = {
+  cyber: {
+    label: 'Cyber',
+    renderMode: RENDER_MODES.INSTANCED,
+    material: {
+      type: 'phong',
+      emissive: 0x00f0ff,
+      emissiveIntensity: 0.2,
+      transparent: true,
+      opacity: 0.8,
+      shininess: 100,
+    },
+    wireframe: { color: 0x00f0ff, opacity: 0.3 },
+    outline: null,
+    uniformColor: null,
+    grid: { color: 0x2a2a35, opacity: 0.6 },
+    boundary: { color: 0x00ffff, opacity: 0.15 },
+    shadowOpacity: 0.3,
+    cursor: { color: null, opacity: 0.4, outlineColor: null },
+  },
+
+  solid: {
+    label: 'Solid',
+    renderMode: RENDER_MODES.CHUNKED,
+    material: { type: 'standard', roughness: 0.55, metalness: 0.05 },
+    wireframe: null,
+    outline: null,
+    uniformColor: null,
+    grid: { color: 0x3a3a44, opacity: 0.5 },
+    boundary: { color: 0xffffff, opacity: 0.12 },
+    shadowOpacity: 0.35,
+    cursor: { color: null, opacity: 0.3, outlineColor: 0xffffff },
+  },
+
+  toon: {
+    label: 'Toon',
+    renderMode: RENDER_MODES.CHUNKED,
+    material: { type: 'toon' },
+    wireframe: null,
+    outline: { color: 0x000000 },
+    uniformColor: null,
+    grid: { color: 0x444455, opacity: 0.5 },
+    boundary: { color: 0xffffff, opacity: 0.2 },
+    shadowOpacity: 0.25,
+    cursor: { color: null, opacity: 0.5, outlineColor: 0x000000 },
+  },
+
+  clay: {
+    label: 'Clay',
+    renderMode: RENDER_MODES.CHUNKED,
+    material: { type: 'standard', roughness: 1, metalness: 0 },
+    wireframe: null,
+    outline: null,
+    uniformColor: 0xd9cbb8,
+    grid: { color: 0x555555, opacity: 0.4 },
+    boundary: { color: 0xaaaaaa, opacity: 0.15 },
+    shadowOpacity: 0.4,
+    cursor: { color: 0xff6633, opacity: 0.35, outlineColor: 0xff6633 },
+  },
+};
+
+export const DEFAULT_RENDER_STYLE = 'cyber';
@@ -0,0 +1,204 @@
+// Builds a closed, manifold triangle surface from voxel occupancy for 3D printing.
+//
+// Unlike GreedyMesher, faces are never merged: merged quads create T-junctions that
+// leave cracks in printable meshes. Every exposed unit face becomes two triangles
+// whose corners are welded with their neighbours. Where two voxels touch only along
+// an edge or corner, the contact is split by nudging each side's vertices a tiny
+// distance into its own voxel, so every edge is shared by exactly two triangles.
+
+const DIRECTIONS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1],
+];
+
+// Offset used to separate edge/corner contacts, in voxels
+const SPLIT_EPSILON = 1e-3;
+
+export class SurfaceMesher {
+  // isSolid(x, y, z) decides occupancy, so callers can mesh a subset (e.g. one color)
+  constructor(isSolid) {
+    this.isSolid = isSolid;
+  }
+
+  // Mesh the given cells into triangles: [{ normal: [x, y, z], vertices: [[x, y, z] x3] }]
+  // Coordinates are in voxel units with voxels centered on integer positions.
+  mesh(cells) {
+    const faces = this.collectFaces(cells);
+    const parent = Array.from({ length: faces.length * 4 }, (_, i) => i);
+
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    // Weld each face edge to the face that continues the surface across it
+    faces.forEach((face, faceIndex) => {
+      for (let k = 0; k < 4; k++) {
+        const a = face.corners[k];
+        const b = face.corners[(k + 1) % 4];
+        const partnerIndex = this.findPartner(face, a, b);
+        const partner = faces[partnerIndex];
+
+        union(faceIndex * 4 + k, partnerIndex * 4 + this.cornerIndex(partner, a));
+        union(faceIndex * 4 + (k + 1) % 4, partnerIndex * 4 + this.cornerIndex(partner, b));
+      }
+    });
+
+    const positions = this.resolveVertices(faces, find);
+
+    const triangles = [];
+    faces.forEach((face, faceIndex) => {
+      const p = [0, 1, 2, 3].map((k) => positions.get(find(faceIndex * 4 + k)));
+      triangles.push({ normal: face.normal, vertices: [p[0], p[1], p[2]] });
+      triangles.push({ normal: face.normal, vertices: [p[0], p[2], p[3]] });
+    });
+
+    return triangles;
+  }
+
+  // Every exposed face of every cell, with lattice corners wound counter-clockwise
+  collectFaces(cells) {
+    const faces = [];
+    this.faceLookup = new Map();
+
+    for (const { x, y, z } of cells) {
+      DIRECTIONS.forEach((normal, dirIndex) => {
+        if (this.isSolid(x + normal[0], y + normal[1], z + normal[2])) return;
+
+        this.faceLookup.set(this.faceKey(x, y, z, dirIndex), faces.length);
+        faces.push({ cell: [x, y, z], normal, corners: this.faceCorners(x, y, z, normal) });
+      });
+    }
+
+    return faces;
+  }
+
+  faceKey(x, y, z, dirIndex) {
+    return `${x},${y},${z},${dirIndex}`;
+  }
+
+  // Lattice corners of a face; corner (i, j, k) is the point x + i - 0.5 etc.
+  faceCorners(x, y, z, normal) {
+    const d = normal.findIndex((value) => value !== 0);
+    const u = (d + 1) % 3;
+    const v = (d + 2) % 3;
+    const base = [x, y, z];
+
+    const corner = (cu, cv) => {
+      const p = [...base];
+      p[d] += normal[d] > 0 ? 1 : 0;
+      p[u] += cu;
+      p[v] += cv;
+      return p;
+    };
+
+    return normal[d] > 0
+      ? [corner(0, 0), corner(1, 0), corner(1, 1), corner(0, 1)]
+      : [corner(0, 0), corner(0, 1), corner(1, 1), corner(1, 0)];
+  }
+
+  // The face sharing edge a-b that continues this face's surface
+  findPartner(face, a, b) {
+    const [x, y, z] = face.cell;
+    const n = face.normal;
+
+    // Direction from the face center toward the edge, within the face plane
+    const d = [0, 0, 0];
+    const axis = [0, 1, 2].find((i) => n[i] === 0 && a[i] === b[i]);
+    d[axis] = a[axis] > face.cell[axis] ? 1 : -1;
+
+    const side = [x + d[0], y + d[1], z + d[2]];
+    const diagonal = [side[0] + n[0], side[1] + n[1], side[2] + n[2]];
+    const sideSolid = this.isSolid(...side);
+    const diagonalSolid = this.isSolid(...diagonal);
+
+    let key;
+    if (!sideSolid && diagonalSolid && this.shouldJoinDiagonal(face.cell, side, diagonal, a, b)) {
+      // Diagonal contact resolved by wrapping around the empty cell instead
+      key = this.faceKey(...diagonal, this.directionIndex(d.map((value) => -value)));
+    } else if (sideSolid && diagonalSolid) {
+      // Concave edge: wraps onto the diagonal voxel's face pointing back at us
+      key = this.faceKey(...diagonal, this.directionIndex(d.map((value) => -value)));
+    } else if (sideSolid) {
+      // Flat: continues on the neighbour's coplanar face
+      key = this.faceKey(...side, this.directionIndex(n));
+    } else {
+      // Convex edge: wraps onto this voxel's own side face
+      key = this.faceKey(x, y, z, this.directionIndex(d));
+    }
+
+    return this.faceLookup.get(key);
+  }
+
+  // Two voxels touching along an edge can be split apart (each keeps its own edge)
+  // or joined (the surface wraps around the two empty cells instead). Splitting is
+  // preferred, but if the voxels are also linked past both ends of the edge, the
+  // split sheets would meet again at both endpoints and the duplicate edges could
+  // not be pulled apart, so join there unless the empty cells are linked the same way.
+  shouldJoinDiagonal(cell, side, diagonal, a, b) {
+    const axis = [0, 1, 2].find((i) => a[i] !== b[i]);
+    const opposite = [0, 1, 2].map((i) => cell[i] + diagonal[i] - side[i]);
+    const at = (c, step) => {
+      const p = [...c];
+      p[axis] += step;
+      return this.isSolid(...p);
+    };
+
+    const solidsLinked = (step) =>
+      at(cell, step) && at(diagonal, step) && (at(side, step) || at(opposite, step));
+    const emptiesLinked = (step) =>
+      !at(side, step) && !at(opposite, step) && (!at(cell, step) || !at(diagonal, step));
+
+    return solidsLinked(-1) && solidsLinked(1) && !(emptiesLinked(-1) && emptiesLinked(1));
+  }
+
+  directionIndex(vector) {
+    return DIRECTIONS.findIndex((dir) => dir[0] === vector[0] && dir[1] === vector[1] && dir[2] === vector[2]);
+  }
+
+  cornerIndex(face, point) {
+    return face.corners.findIndex((c) => c[0] === point[0] && c[1] === point[1] && c[2] === point[2]);
+  }
+
+  // Position for every welded vertex; vertices that share a lattice point with
+  // another surface sheet are pulled slightly into their own voxels
+  resolveVertices(faces, find) {
+    const groups = new Map();
+
+    faces.forEach((face, faceIndex) => {
+      face.corners.forEach((corner, k) => {
+        const root = find(faceIndex * 4 + k);
+        let group = groups.get(root);
+        if (!group) {
+          group = { corner, normalSum: [0, 0, 0] };
+          groups.set(root, group);
+        }
+        for (let i = 0; i < 3; i++) group.normalSum[i] += face.normal[i];
+      });
+    });
+
+    const perPoint = new Map();
+    for (const group of groups.values()) {
+      const key = group.corner.join(',');
+      perPoint.set(key, (perPoint.get(key) || 0) + 1);
+    }
+
+    const positions = new Map();
+    for (const [root, group] of groups) {
+      const shared = perPoint.get(group.corner.join(',')) > 1;
+      positions.set(
+        root,
+        group.corner.map((value, i) => value - 0.5 - (shared ? Math.sign(group.normalSum[i]) * SPLIT_EPSILON : 0))
+      );
+    }
+
+    return positions;
+  }
+}
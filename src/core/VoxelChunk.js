@@ -0,0 +1,62 @@
+import { CHUNK_SIZE } from '../utils/constants.js';
+
+const CHUNK_VOLUME = CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE;
+
+export class VoxelChunk {
+  constructor(cx, cy, cz) {
+    // Chunk coordinates (world position / CHUNK_SIZE)
+    this.cx = cx;
+    this.cy = cy;
+    this.cz = cz;
+
+    // One byte per cell: 0 = empty, otherwise colorIndex + 1
+    this.data = new Uint8Array(CHUNK_VOLUME);
+    this.count = 0;
+  }
+
+  // Flat index of a local cell (x fastest, then y, then z)
+  index(lx, ly, lz) {
+    return lx + CHUNK_SIZE * (ly + CHUNK_SIZE * lz);
+  }
+
+  // Get colorIndex at local position, or -1 if empty
+  get(lx, ly, lz) {
+    return this.data[this.index(lx, ly, lz)] - 1;
+  }
+
+  // Set colorIndex at local position (-1 clears the cell)
+  set(lx, ly, lz, colorIndex) {
+    const i = this.index(lx, ly, lz);
+    const wasFilled = this.data[i] !== 0;
+    const isFilled = colorIndex >= 0;
+
+    this.data[i] = isFilled ? colorIndex + 1 : 0;
+
+    if (wasFilled !== isFilled) {
+      this.count += isFilled ? 1 : -1;
+    }
+  }
+
+  isEmpty() {
+    return this.count === 0;
+  }
+
+  // Iterate filled cells as (x, y, z, colorIndex) in world coordinates
+  forEach(callback) {
+    const ox = this.cx * CHUNK_SIZE;
+    const oy = this.cy * CHUNK_SIZE;
+    const oz = this.cz * CHUNK_SIZE;
+
+    let i = 0;
+    for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+      for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+        for (let lx = 0; lx < CHUNK_SIZE; lx++, i++) {
+          const value = this.data[i];
+          if (value !== 0) {
+            callback(ox + lx, oy + ly, oz + lz, value - 1);
+          }
+        }
+      }
+    }
+  }
+}
@@ -1,26 +1,79 @@
 import * as THREE from 'three';
-import { GRID_SIZE, VOXEL_SIZE, MAX_VOXELS, COLORS, CAMERA_FOV, CAMERA_DISTANCE } from '../utils/constants.js';
+import {
+  GRID_SIZE,
+  VOXEL_SIZE,
+  INITIAL_VOXEL_CAPACITY,
+  CAMERA_FOV,
+  CAMERA_DISTANCE,
+  MIN_ZOOM,
+  MAX_ZOOM,
+  CAMERA_MAX_PITCH,
+  CAMERA_TRANSITION_MS,
+  CAMERA_VIEWS,
+  PROJECTIONS,
+  RENDER_MODES,
+} from '../utils/constants.js';
+import { ChunkMeshLayer } from './ChunkMeshLayer.js';
+import { RENDER_STYLES, DEFAULT_RENDER_STYLE } from './RenderStyles.js';
 
 export class VoxelRenderer {
-  constructor(canvas, voxelWorld) {
+  constructor(canvas, voxelWorld, palette) {
     this.canvas = canvas;
     this.voxelWorld = voxelWorld;
+    this.palette = palette;
 
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.instancedMesh = null;
     this.cursorMesh = null;
+    this.depthGuide = null;
     this.gridHelper = null;
+    this.gridGroup = null;
+    this.voxelCapacity = 0;
+    this.chunkLayer = null;
+    this.renderMode = RENDER_MODES.INSTANCED;
+    this.ambientOcclusion = true; // Baked into chunk meshes
+    this.renderStyle = DEFAULT_RENDER_STYLE;
+    this.styleListeners = new Set();
 
     this.cameraAngleX = 0.5;
     this.cameraAngleY = 0.3;
     this.cameraDistance = CAMERA_DISTANCE;
 
+    // this.camera is whichever of the two cameras the projection selects
+    this.perspectiveCamera = null;
+    this.orthographicCamera = null;
+    this.projection = PROJECTIONS.PERSPECTIVE;
+    this.aspect = 1;
+    this.cameraView = null; // Preset view the camera sits at (null once orbited away)
+    this.cameraTransition = null;
+    this.cameraListeners = new Set();
+
     this.cursorPosition = null;
+    this.cursorColorIndex = 0;
     this.dummy = new THREE.Object3D();
+
+    // Cursor raycasting; rays that miss every voxel land on the work plane, which sits
+    // under layer workPlaneLevel along workPlaneAxis (default: the floor at y = -0.5)
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.workPlaneAxis = 'y';
+    this.workPlaneLevel = 0;
+    this.workPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0.5);
+    this.workPlaneListeners = new Set();
     this.colorArray = null;
 
+    // Cross-section { axis, level }: voxel materials clip everything above the level
+    this.slice = null;
+    this.slicePlane = new THREE.Plane();
+    this.clippingPlanes = []; // Shared by the voxel materials; holds slicePlane while slicing
+    this.sliceListeners = new Set();
+
+    // Instance slot bookkeeping for incremental updates ("x,y,z" <-> slot)
+    this.instanceSlots = new Map();
+    this.slotKeys = [];
+
     this.init();
   }
 
@@ -29,9 +82,12 @@ export class VoxelRenderer {
     this.scene = new THREE.Scene();
     this.scene.background = null; // Transparent background for AR
 
-    // Create camera
-    const aspect = this.canvas.clientWidth / this.canvas.clientHeight;
-    this.camera = new THREE.PerspectiveCamera(CAMERA_FOV, aspect, 0.1, 1000);
+    // Create cameras; the orthographic frustum is sized from the orbit distance
+    this.aspect = this.canvas.clientWidth / this.canvas.clientHeight;
+    this.perspectiveCamera = new THREE.PerspectiveCamera(CAMERA_FOV, this.aspect, 0.1, 5000);
+    this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 5000);
+    this.camera = this.perspectiveCamera;
+    this.cameraDistance = CAMERA_DISTANCE * this.getZoomScale();
     this.updateCameraPosition();
 
     // Create renderer
@@ -44,6 +100,7 @@ export class VoxelRenderer {
     this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
     this.renderer.shadowMap.enabled = true;
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    this.renderer.localClippingEnabled = true;
 
     // Add lighting
     this.setupLighting();
@@ -54,14 +111,24 @@ export class VoxelRenderer {
     // Create instanced mesh for voxels
     this.setupInstancedMesh();
 
+    // Chunk meshes for the chunked render path (hidden until selected)
+    this.chunkLayer = new ChunkMeshLayer(this.scene, this.voxelWorld, this.palette, {
+      ambientOcclusion: this.ambientOcclusion,
+    });
+    this.chunkLayer.setVisible(false);
+
     // Create cursor mesh
     this.setupCursor();
 
+    this.applyRenderStyle();
+
     // Handle resize
     window.addEventListener('resize', () => this.handleResize());
 
     // Subscribe to voxel world changes
-    this.voxelWorld.subscribe(() => this.updateVoxels());
+    this.voxelWorld.subscribe((world, change) => this.updateVoxels(change));
+    this.voxelWorld.subscribeBounds(() => this.handleBoundsChange());
+    this.palette.subscribe(() => this.updateVoxels());
 
     // Start render loop
     this.animate();
@@ -74,18 +141,14 @@ export class VoxelRenderer {
 
     // Main directional light with shadows
     const mainLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    mainLight.position.set(20, 30, 20);
     mainLight.castShadow = true;
     mainLight.shadow.mapSize.width = 2048;
     mainLight.shadow.mapSize.height = 2048;
-    mainLight.shadow.camera.near = 1;
-    mainLight.shadow.camera.far = 100;
-    mainLight.shadow.camera.left = -25;
-    mainLight.shadow.camera.right = 25;
-    mainLight.shadow.camera.top = 25;
-    mainLight.shadow.camera.bottom = -25;
     mainLight.shadow.bias = -0.001;
+    this.mainLight = mainLight;
     this.scene.add(mainLight);
+    this.scene.add(mainLight.target);
+    this.fitShadowCamera();
 
     // Fill light (softer, from opposite side)
     const fillLight = new THREE.DirectionalLight(0x8888ff, 0.3);
@@ -99,81 +162,132 @@ export class VoxelRenderer {
   }
 
   setupGrid() {
-    // Grid floor
-    const gridSize = GRID_SIZE;
-    const gridDivisions = GRID_SIZE;
+    const bounds = this.voxelWorld.getBounds();
+    const style = RENDER_STYLES[this.renderStyle];
 
-    // Custom grid using lines for better visual
-    const gridGeometry = new THREE.BufferGeometry();
+    // Everything sized from the grid bounds lives in one group so it can be rebuilt
+    this.gridGroup = new THREE.Group();
+    this.scene.add(this.gridGroup);
+
+    // Custom grid using lines for better visual, drawn on the work plane
     const gridMaterial = new THREE.LineBasicMaterial({
-      color: 0x2a2a35,
+      color: style.grid.color,
       transparent: true,
-      opacity: 0.6,
+      opacity: style.grid.opacity,
     });
 
-    const points = [];
-    const halfGrid = gridSize / 2;
-
-    // Horizontal lines (X direction)
-    for (let i = 0; i <= gridDivisions; i++) {
-      points.push(-halfGrid + GRID_SIZE / 2, 0, i - halfGrid + GRID_SIZE / 2);
-      points.push(halfGrid + GRID_SIZE / 2, 0, i - halfGrid + GRID_SIZE / 2);
-    }
-
-    // Vertical lines (Z direction)
-    for (let i = 0; i <= gridDivisions; i++) {
-      points.push(i - halfGrid + GRID_SIZE / 2, 0, -halfGrid + GRID_SIZE / 2);
-      points.push(i - halfGrid + GRID_SIZE / 2, 0, halfGrid + GRID_SIZE / 2);
-    }
-
-    gridGeometry.setAttribute(
-      'position',
-      new THREE.Float32BufferAttribute(points, 3)
-    );
-
-    this.gridHelper = new THREE.LineSegments(gridGeometry, gridMaterial);
-    this.scene.add(this.gridHelper);
+    this.gridHelper = new THREE.LineSegments(this.createWorkPlaneGridGeometry(), gridMaterial);
+    this.gridGroup.add(this.gridHelper);
 
     // Ground plane for shadows
-    const groundGeometry = new THREE.PlaneGeometry(GRID_SIZE * 2, GRID_SIZE * 2);
+    const groundGeometry = new THREE.PlaneGeometry(bounds.x * 2, bounds.z * 2);
     const groundMaterial = new THREE.ShadowMaterial({
-      opacity: 0.3,
+      opacity: style.shadowOpacity,
     });
     const ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = -Math.PI / 2;
-    ground.position.set(GRID_SIZE / 2, -0.01, GRID_SIZE / 2);
+    ground.position.set(bounds.x / 2 - 0.5, -0.51, bounds.z / 2 - 0.5);
     ground.receiveShadow = true;
-    this.scene.add(ground);
+    this.groundMesh = ground;
+    this.gridGroup.add(ground);
 
     // Add subtle boundary box
-    const boundaryGeometry = new THREE.BoxGeometry(GRID_SIZE, GRID_SIZE, GRID_SIZE);
+    const boundaryGeometry = new THREE.BoxGeometry(bounds.x, bounds.y, bounds.z);
     const boundaryEdges = new THREE.EdgesGeometry(boundaryGeometry);
     const boundaryMaterial = new THREE.LineBasicMaterial({
-      color: 0x00ffff,
+      color: style.boundary.color,
       transparent: true,
-      opacity: 0.15,
+      opacity: style.boundary.opacity,
     });
     const boundaryBox = new THREE.LineSegments(boundaryEdges, boundaryMaterial);
-    boundaryBox.position.set(GRID_SIZE / 2 - 0.5, GRID_SIZE / 2 - 0.5, GRID_SIZE / 2 - 0.5);
-    this.scene.add(boundaryBox);
+    this.boundaryBox = boundaryBox;
+    boundaryBox.position.set(bounds.x / 2 - 0.5, bounds.y / 2 - 0.5, bounds.z / 2 - 0.5);
+    this.gridGroup.add(boundaryBox);
+    boundaryGeometry.dispose();
+  }
+
+  // Grid lines over the whole bounds, on the face of the work plane layer
+  createWorkPlaneGridGeometry() {
+    const bounds = this.voxelWorld.getBounds();
+    const size = [bounds.x, bounds.y, bounds.z];
+    const a = ['x', 'y', 'z'].indexOf(this.workPlaneAxis);
+    const b = (a + 1) % 3;
+    const c = (a + 2) % 3;
+
+    const points = [];
+    const point = [0, 0, 0];
+    point[a] = this.workPlaneLevel - 0.5;
+    const line = (fixedAxis, fixed, runAxis) => {
+      point[fixedAxis] = fixed;
+      point[runAxis] = -0.5;
+      points.push(...point);
+      point[runAxis] = size[runAxis] - 0.5;
+      points.push(...point);
+    };
+
+    for (let i = 0; i <= size[c]; i++) line(c, i - 0.5, b);
+    for (let i = 0; i <= size[b]; i++) line(b, i - 0.5, c);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    return geometry;
+  }
+
+  // Keep the shadow frustum wrapped around the grid (values tuned for 16³)
+  fitShadowCamera() {
+    const scale = this.getZoomScale();
+    const center = this.getGridCenter();
+    const shadowCamera = this.mainLight.shadow.camera;
+
+    this.mainLight.target.position.copy(center);
+    this.mainLight.position.set(center.x + 20 * scale, center.y + 30 * scale, center.z + 20 * scale);
+
+    shadowCamera.near = 1;
+    shadowCamera.far = 100 * scale;
+    shadowCamera.left = -25 * scale;
+    shadowCamera.right = 25 * scale;
+    shadowCamera.top = 25 * scale;
+    shadowCamera.bottom = -25 * scale;
+    shadowCamera.updateProjectionMatrix();
+  }
+
+  // Dispose and rebuild everything that depends on the grid bounds
+  handleBoundsChange() {
+    this.gridGroup.traverse((object) => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+    this.scene.remove(this.gridGroup);
+    this.setupGrid();
+    this.setWorkPlane(this.workPlaneAxis, this.workPlaneLevel);
+    this.fitShadowCamera();
+
+    this.cameraDistance = CAMERA_DISTANCE * this.getZoomScale();
+    this.updateCameraPosition();
+
+    if (this.slice) this.setSlice(this.slice.axis, this.slice.level);
+  }
+
+  // Zoom limits and default distance are tuned for a 16³ grid; scale for larger ones
+  getZoomScale() {
+    const bounds = this.voxelWorld.getBounds();
+    return Math.max(bounds.x, bounds.y, bounds.z) / GRID_SIZE;
+  }
+
+  getGridCenter() {
+    const bounds = this.voxelWorld.getBounds();
+    return new THREE.Vector3(bounds.x / 2 - 0.5, bounds.y / 2 - 0.5, bounds.z / 2 - 0.5);
   }
 
   setupInstancedMesh() {
     // Create geometry and material for voxels
     const geometry = new THREE.BoxGeometry(VOXEL_SIZE * 0.95, VOXEL_SIZE * 0.95, VOXEL_SIZE * 0.95);
 
-    // Cyber/Tron Material (Transparent with Emissive)
-    const material = new THREE.MeshPhongMaterial({
-      color: 0xffffff, // Tinted by instanceColor
-      emissive: 0x00f0ff,
-      emissiveIntensity: 0.2,
-      transparent: true,
-      opacity: 0.8,
-      shininess: 100
-    });
+    // Material comes from the render style (tinted by instanceColor)
+    const material = this.createVoxelMaterial(RENDER_STYLES[this.renderStyle]);
 
     // Create instanced mesh (Inner Cubes)
-    this.instancedMesh = new THREE.InstancedMesh(geometry, material, MAX_VOXELS);
+    this.instancedMesh = new THREE.InstancedMesh(geometry, material, INITIAL_VOXEL_CAPACITY);
     this.instancedMesh.castShadow = true;
     this.instancedMesh.receiveShadow = true;
     this.instancedMesh.count = 0;
@@ -185,13 +299,15 @@ export class VoxelRenderer {
       color: 0x00f0ff,
       wireframe: true,
       transparent: true,
-      opacity: 0.3
-    });
-    this.wireframeMesh = new THREE.InstancedMesh(wireGeo, wireMat, MAX_VOXELS);
+      opacity: 0.3,
+      clippingPlanes: this.clippingPlanes,
+    }); // Recolored by applyRenderStyle()
+    this.wireframeMesh = new THREE.InstancedMesh(wireGeo, wireMat, INITIAL_VOXEL_CAPACITY);
     this.wireframeMesh.count = 0;
 
     // Initialize color array
-    this.colorArray = new Float32Array(MAX_VOXELS * 3);
+    this.voxelCapacity = INITIAL_VOXEL_CAPACITY;
+    this.colorArray = new Float32Array(INITIAL_VOXEL_CAPACITY * 3);
     this.instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(
       this.colorArray,
       3
@@ -201,6 +317,41 @@ export class VoxelRenderer {
     this.scene.add(this.wireframeMesh);
   }
 
+  // Instanced buffers are fixed-size, so reallocate (doubling) when the model outgrows them
+  ensureCapacity(count) {
+    if (count <= this.voxelCapacity) return;
+
+    let capacity = this.voxelCapacity;
+    while (capacity < count) capacity *= 2;
+
+    const replace = (oldMesh) => {
+      const mesh = new THREE.InstancedMesh(oldMesh.geometry, oldMesh.material, capacity);
+      mesh.castShadow = oldMesh.castShadow;
+      mesh.receiveShadow = oldMesh.receiveShadow;
+      mesh.visible = oldMesh.visible;
+      mesh.count = oldMesh.count;
+      mesh.instanceMatrix.array.set(oldMesh.instanceMatrix.array);
+      this.scene.remove(oldMesh);
+      oldMesh.dispose();
+      this.scene.add(mesh);
+      return mesh;
+    };
+
+    this.instancedMesh = replace(this.instancedMesh);
+    this.wireframeMesh = replace(this.wireframeMesh);
+
+    const colorArray = new Float32Array(capacity * 3);
+    colorArray.set(this.colorArray);
+
+    this.voxelCapacity = capacity;
+    this.colorArray = colorArray;
+    this.instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(
+      this.colorArray,
+      3
+    );
+    this.wireframeMesh.instanceMatrix = this.instancedMesh.instanceMatrix; // Share matrix buffer!
+  }
+
   setupCursor() {
     const cursorGeometry = new THREE.BoxGeometry(VOXEL_SIZE, VOXEL_SIZE, VOXEL_SIZE);
     const cursorMaterial = new THREE.MeshBasicMaterial({
@@ -221,52 +372,259 @@ export class VoxelRenderer {
     });
     this.cursorOutline = new THREE.LineSegments(outlineGeometry, outlineMaterial);
     this.cursorMesh.add(this.cursorOutline);
+
+    // Depth mode guide: the stretch of view ray the cursor slides along, and a drop line
+    // from the cursor to the floor. Drawn over the voxels so it never gets lost.
+    const guideGeometry = new THREE.BufferGeometry();
+    guideGeometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(12), 3));
+    this.depthGuide = new THREE.LineSegments(
+      guideGeometry,
+      new THREE.LineBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.6, depthTest: false })
+    );
+    this.depthGuide.renderOrder = 1;
+    this.depthGuide.frustumCulled = false;
+    this.depthGuide.visible = false;
+    this.scene.add(this.depthGuide);
+  }
+
+  // Switch between per-voxel instances and per-chunk meshes; only the active path is kept up to date
+  setRenderMode(mode) {
+    if (mode === this.renderMode || !Object.values(RENDER_MODES).includes(mode)) return;
+
+    this.renderMode = mode;
+    const chunked = mode === RENDER_MODES.CHUNKED;
+
+    this.updateMeshVisibility();
+
+    if (chunked) {
+      this.clearInstances();
+    } else {
+      this.chunkLayer.clear();
+    }
+    this.updateVoxels();
+  }
+
+  getRenderMode() {
+    return this.renderMode;
+  }
+
+  updateMeshVisibility() {
+    const chunked = this.renderMode === RENDER_MODES.CHUNKED;
+    this.instancedMesh.visible = !chunked;
+    this.wireframeMesh.visible = !chunked && RENDER_STYLES[this.renderStyle].wireframe !== null;
+    this.chunkLayer.setVisible(chunked);
+  }
+
+  // Switch to a preset from RENDER_STYLES (voxels, grid, boundary and cursor)
+  setRenderStyle(name) {
+    if (!RENDER_STYLES[name] || name === this.renderStyle) return;
+
+    this.renderStyle = name;
+    this.applyRenderStyle();
+
+    for (const listener of this.styleListeners) {
+      listener(name);
+    }
+  }
+
+  getRenderStyle() {
+    return this.renderStyle;
+  }
+
+  subscribeStyle(listener) {
+    this.styleListeners.add(listener);
+    return () => this.styleListeners.delete(listener);
+  }
+
+  applyRenderStyle() {
+    const style = RENDER_STYLES[this.renderStyle];
+
+    const setLine = (object, { color, opacity }) => {
+      object.material.color.setHex(color);
+      object.material.opacity = opacity;
+    };
+    setLine(this.gridHelper, style.grid);
+    setLine(this.boundaryBox, style.boundary);
+    this.groundMesh.material.opacity = style.shadowOpacity;
+
+    this.cursorMesh.material.opacity = style.cursor.opacity;
+    this.updateCursorColor();
+
+    if (style.renderMode === RENDER_MODES.INSTANCED) {
+      this.instancedMesh.material.dispose();
+      this.instancedMesh.material = this.createVoxelMaterial(style);
+      if (style.wireframe) setLine(this.wireframeMesh, style.wireframe);
+    } else {
+      this.chunkLayer.setStyle({
+        material: this.createVoxelMaterial(style, { vertexColors: true }),
+        uniformColor: style.uniformColor,
+        outline: style.outline,
+      });
+    }
+
+    this.setRenderMode(style.renderMode);
+    this.updateMeshVisibility();
+  }
+
+  createVoxelMaterial(style, { vertexColors = false } = {}) {
+    const { type, ...styleParameters } = style.material;
+    const parameters = { ...styleParameters, clippingPlanes: this.clippingPlanes, clipShadows: true };
+
+    switch (type) {
+      case 'phong':
+        return new THREE.MeshPhongMaterial({ color: 0xffffff, vertexColors, ...parameters });
+      case 'toon':
+        return new THREE.MeshToonMaterial({ color: 0xffffff, vertexColors, gradientMap: this.getToonGradient(), ...parameters });
+      default:
+        return new THREE.MeshStandardMaterial({ color: 0xffffff, vertexColors, ...parameters });
+    }
+  }
+
+  // Three-step ramp for cel shading, shared by all toon materials
+  getToonGradient() {
+    if (!this.toonGradient) {
+      this.toonGradient = new THREE.DataTexture(new Uint8Array([90, 170, 255]), 3, 1, THREE.RedFormat);
+      this.toonGradient.minFilter = THREE.NearestFilter;
+      this.toonGradient.magFilter = THREE.NearestFilter;
+      this.toonGradient.generateMipmaps = false;
+      this.toonGradient.needsUpdate = true;
+    }
+    return this.toonGradient;
   }
 
-  updateVoxels() {
-    const voxels = this.voxelWorld.getAllVoxels();
+  // Per-vertex ambient occlusion for the chunked render path; instanced cubes have none
+  setAmbientOcclusion(enabled) {
+    this.ambientOcclusion = enabled;
+    this.chunkLayer.setAmbientOcclusion(enabled);
+  }
 
-    let i = 0;
-    for (const voxel of voxels) {
-      // Set position
-      this.dummy.position.set(voxel.x, voxel.y, voxel.z);
-      this.dummy.updateMatrix();
-      this.instancedMesh.setMatrixAt(i, this.dummy.matrix);
+  getAmbientOcclusion() {
+    return this.ambientOcclusion;
+  }
 
-      // Set color
-      const color = new THREE.Color(COLORS[voxel.colorIndex]);
-      this.colorArray[i * 3] = color.r;
-      this.colorArray[i * 3 + 1] = color.g;
-      this.colorArray[i * 3 + 2] = color.b;
+  // Apply a VoxelWorld change event, or rebuild everything when no diff is given
+  updateVoxels(change) {
+    if (this.renderMode === RENDER_MODES.CHUNKED) {
+      this.chunkLayer.update(change);
+    } else if (!change) {
+      this.rebuildVoxels();
+    } else {
+      this.ensureCapacity(this.instancedMesh.count + change.added.length);
 
-      i++;
+      for (const voxel of change.removed) {
+        this.removeInstance(voxel);
+      }
+      for (const voxel of change.added) {
+        this.addInstance(voxel);
+      }
+      for (const voxel of change.recolored) {
+        this.setInstanceColor(this.instanceSlots.get(this.voxelWorld.getKey(voxel.x, voxel.y, voxel.z)), voxel.colorIndex);
+      }
     }
 
-    this.instancedMesh.count = voxels.length;
     this.instancedMesh.instanceMatrix.needsUpdate = true;
     this.instancedMesh.instanceColor.needsUpdate = true;
 
     // Sync wireframe mesh
-    this.wireframeMesh.count = voxels.length;
+    this.wireframeMesh.count = this.instancedMesh.count;
     this.wireframeMesh.instanceMatrix = this.instancedMesh.instanceMatrix; // Share matrix buffer!
     this.wireframeMesh.instanceMatrix.needsUpdate = true;
 
     // Update voxel count display
     const countElement = document.getElementById('voxelCount');
     if (countElement) {
-      countElement.textContent = voxels.length;
+      countElement.textContent = this.voxelWorld.getCount();
     }
   }
 
+  clearInstances() {
+    this.instanceSlots.clear();
+    this.slotKeys.length = 0;
+    this.instancedMesh.count = 0;
+  }
+
+  rebuildVoxels() {
+    this.clearInstances();
+
+    this.ensureCapacity(this.voxelWorld.getCount());
+    this.voxelWorld.forEachVoxel((x, y, z, colorIndex) => {
+      this.addInstance({ x, y, z, colorIndex });
+    });
+  }
+
+  addInstance(voxel) {
+    const slot = this.instancedMesh.count++;
+    const key = this.voxelWorld.getKey(voxel.x, voxel.y, voxel.z);
+
+    this.instanceSlots.set(key, slot);
+    this.slotKeys[slot] = key;
+
+    this.dummy.position.set(voxel.x, voxel.y, voxel.z);
+    this.dummy.updateMatrix();
+    this.instancedMesh.setMatrixAt(slot, this.dummy.matrix);
+    this.setInstanceColor(slot, voxel.colorIndex);
+  }
+
+  // Remove by moving the last instance into the freed slot
+  removeInstance(voxel) {
+    const key = this.voxelWorld.getKey(voxel.x, voxel.y, voxel.z);
+    const slot = this.instanceSlots.get(key);
+    if (slot === undefined) return;
+
+    const last = --this.instancedMesh.count;
+    if (slot !== last) {
+      const lastKey = this.slotKeys[last];
+      this.instancedMesh.instanceMatrix.array.copyWithin(slot * 16, last * 16, last * 16 + 16);
+      this.colorArray.copyWithin(slot * 3, last * 3, last * 3 + 3);
+      this.instanceSlots.set(lastKey, slot);
+      this.slotKeys[slot] = lastKey;
+    }
+
+    this.instanceSlots.delete(key);
+    this.slotKeys.length = last;
+  }
+
+  setInstanceColor(slot, colorIndex) {
+    if (slot === undefined) return;
+
+    const color = new THREE.Color(this.palette.getColor(colorIndex));
+    this.colorArray[slot * 3] = color.r;
+    this.colorArray[slot * 3 + 1] = color.g;
+    this.colorArray[slot * 3 + 2] = color.b;
+  }
+
+  // Style colors win over the selected palette color where the style sets them
+  updateCursorColor() {
+    const { cursor } = RENDER_STYLES[this.renderStyle];
+    const selected = this.palette.getColor(this.cursorColorIndex);
+    this.cursorMesh.material.color.setHex(cursor.color ?? selected);
+    this.cursorOutline.material.color.setHex(cursor.outlineColor ?? selected);
+    this.depthGuide.material.color.setHex(cursor.outlineColor ?? selected);
+  }
+
+  // Show the depth guide for a raycastAtDepth() result, or hide it (null)
+  setDepthGuide(hit) {
+    this.depthGuide.visible = Boolean(hit);
+    if (!hit) return;
+
+    const { start, end } = hit.guide;
+    const floor = -0.5;
+    const positions = this.depthGuide.geometry.attributes.position;
+    positions.setXYZ(0, start.x, start.y, start.z);
+    positions.setXYZ(1, end.x, end.y, end.z);
+    positions.setXYZ(2, hit.x, hit.y, hit.z);
+    positions.setXYZ(3, hit.x, floor, hit.z);
+    positions.needsUpdate = true;
+  }
+
   setCursorPosition(x, y, z, colorIndex = 0) {
     if (x !== null && this.voxelWorld.isValidPosition(x, y, z)) {
       this.cursorMesh.position.set(x, y, z);
       this.cursorMesh.visible = true;
 
       // Update cursor color based on current color
-      const color = new THREE.Color(COLORS[colorIndex]);
-      this.cursorMesh.material.color = color;
-      this.cursorOutline.material.color = color;
+      this.cursorColorIndex = colorIndex;
+      this.updateCursorColor();
 
       // Update cursor info display
       const cursorPosElement = document.getElementById('cursorPos');
@@ -283,113 +641,510 @@ export class VoxelRenderer {
   }
 
   updateCameraPosition() {
-    const x = Math.sin(this.cameraAngleX) * Math.cos(this.cameraAngleY) * this.cameraDistance;
-    const y = Math.sin(this.cameraAngleY) * this.cameraDistance;
-    const z = Math.cos(this.cameraAngleX) * Math.cos(this.cameraAngleY) * this.cameraDistance;
+    const direction = new THREE.Vector3(
+      Math.sin(this.cameraAngleX) * Math.cos(this.cameraAngleY),
+      Math.sin(this.cameraAngleY),
+      Math.cos(this.cameraAngleX) * Math.cos(this.cameraAngleY)
+    );
+    const center = this.getGridCenter();
+
+    this.perspectiveCamera.position.copy(center).addScaledVector(direction, this.cameraDistance);
+    this.perspectiveCamera.lookAt(center);
+
+    // The orthographic camera stays outside the grid so rays start in front of every
+    // voxel; zooming changes its frustum instead
+    const orthographicDistance = MAX_ZOOM * this.getZoomScale() * 2;
+    this.orthographicCamera.position.copy(center).addScaledVector(direction, orthographicDistance);
+    this.orthographicCamera.lookAt(center);
+    this.updateOrthographicFrustum();
+  }
+
+  // Frame the same area around the grid center as the perspective camera does
+  updateOrthographicFrustum() {
+    const halfHeight = this.cameraDistance * Math.tan(THREE.MathUtils.degToRad(CAMERA_FOV / 2));
+    const camera = this.orthographicCamera;
+    camera.top = halfHeight;
+    camera.bottom = -halfHeight;
+    camera.left = -halfHeight * this.aspect;
+    camera.right = halfHeight * this.aspect;
+    camera.updateProjectionMatrix();
+  }
+
+  setCameraAspect(aspect) {
+    this.aspect = aspect;
+    this.perspectiveCamera.aspect = aspect;
+    this.perspectiveCamera.updateProjectionMatrix();
+    this.updateOrthographicFrustum();
+  }
+
+  setProjection(projection) {
+    if (projection === this.projection || !Object.values(PROJECTIONS).includes(projection)) return;
+
+    this.projection = projection;
+    this.camera = projection === PROJECTIONS.ORTHOGRAPHIC ? this.orthographicCamera : this.perspectiveCamera;
+    this.notifyCameraListeners();
+  }
+
+  getProjection() {
+    return this.projection;
+  }
+
+  toggleProjection() {
+    this.setProjection(
+      this.projection === PROJECTIONS.ORTHOGRAPHIC ? PROJECTIONS.PERSPECTIVE : PROJECTIONS.ORTHOGRAPHIC
+    );
+  }
+
+  // Camera pose as plain numbers, for saving with a project
+  getCameraState() {
+    return {
+      angleX: this.cameraAngleX,
+      angleY: this.cameraAngleY,
+      distance: this.cameraDistance,
+      projection: this.projection,
+    };
+  }
+
+  setCameraState({ angleX, angleY, distance, projection }) {
+    const scale = this.getZoomScale();
+    this.cameraTransition = null;
+    this.cameraView = null;
+    this.cameraAngleX = angleX;
+    this.cameraAngleY = this.clampPitch(angleY);
+    this.cameraDistance = Math.max(MIN_ZOOM * scale, Math.min(MAX_ZOOM * scale, distance));
+    this.updateCameraPosition();
+
+    if (projection) this.setProjection(projection);
+    this.notifyCameraListeners();
+  }
+
+  // Glide to a preset view from CAMERA_VIEWS (zoom is kept)
+  setCameraView(name) {
+    const view = CAMERA_VIEWS[name];
+    if (!view) return;
+
+    this.cameraView = name;
+    this.animateCamera(view.angleX, view.angleY);
+    this.notifyCameraListeners();
+  }
 
-    const center = GRID_SIZE / 2 - 0.5;
-    this.camera.position.set(x + center, y + center, z + center);
-    this.camera.lookAt(center, center, center);
+  // Step through the preset views in CAMERA_VIEWS order
+  cycleCameraView(step) {
+    const names = Object.keys(CAMERA_VIEWS);
+    const index = names.indexOf(this.cameraView);
+    const next = index < 0
+      ? (step > 0 ? 0 : names.length - 1)
+      : (index + step + names.length) % names.length;
+    this.setCameraView(names[next]);
+  }
+
+  getCameraView() {
+    return this.cameraView;
+  }
+
+  animateCamera(angleX, angleY, duration = CAMERA_TRANSITION_MS) {
+    // Turn the short way round
+    const fullTurn = Math.PI * 2;
+    let targetX = angleX + Math.round((this.cameraAngleX - angleX) / fullTurn) * fullTurn;
+    if (targetX - this.cameraAngleX > Math.PI) targetX -= fullTurn;
+    if (targetX - this.cameraAngleX < -Math.PI) targetX += fullTurn;
+
+    this.cameraTransition = {
+      from: { angleX: this.cameraAngleX, angleY: this.cameraAngleY },
+      to: { angleX: targetX, angleY: this.clampPitch(angleY) },
+      start: performance.now(),
+      duration,
+    };
+  }
+
+  // Advance a running camera transition (ease in-out cubic)
+  updateCameraTransition(now) {
+    const transition = this.cameraTransition;
+    if (!transition) return;
+
+    const progress = Math.min(1, (now - transition.start) / transition.duration);
+    const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
+    const { from, to } = transition;
+
+    this.cameraAngleX = from.angleX + (to.angleX - from.angleX) * eased;
+    this.cameraAngleY = from.angleY + (to.angleY - from.angleY) * eased;
+    this.updateCameraPosition();
+
+    if (progress === 1) this.cameraTransition = null;
+  }
+
+  clampPitch(angleY) {
+    return Math.max(-CAMERA_MAX_PITCH, Math.min(CAMERA_MAX_PITCH, angleY));
   }
 
   orbitCamera(deltaX, deltaY) {
+    this.cameraTransition = null;
     this.cameraAngleX += deltaX;
-    this.cameraAngleY = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, this.cameraAngleY + deltaY));
+    this.cameraAngleY = this.clampPitch(this.cameraAngleY + deltaY);
     this.updateCameraPosition();
+
+    if (this.cameraView !== null && (deltaX !== 0 || deltaY !== 0)) {
+      this.cameraView = null;
+      this.notifyCameraListeners();
+    }
   }
 
   zoomCamera(delta) {
-    this.cameraDistance = Math.max(10, Math.min(50, this.cameraDistance + delta));
+    const scale = this.getZoomScale();
+    this.cameraDistance = Math.max(MIN_ZOOM * scale, Math.min(MAX_ZOOM * scale, this.cameraDistance + delta));
     this.updateCameraPosition();
   }
 
+  // Listeners get { view, projection } when either changes
+  subscribeCamera(listener) {
+    this.cameraListeners.add(listener);
+    return () => this.cameraListeners.delete(listener);
+  }
+
+  notifyCameraListeners() {
+    for (const listener of this.cameraListeners) {
+      listener({ view: this.cameraView, projection: this.projection });
+    }
+  }
+
   handleResize() {
     const width = this.canvas.clientWidth;
     const height = this.canvas.clientHeight;
 
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
+    this.setCameraAspect(width / height);
 
     this.renderer.setSize(width, height);
   }
 
   animate() {
     requestAnimationFrame(() => this.animate());
+    this.updateCameraTransition(performance.now());
+    this.chunkLayer.flush();
     this.renderer.render(this.scene, this.camera);
   }
 
-  // Raycast from normalized screen coords to find grid position
+  // Cross-section: hide every cell above level along axis ('x' | 'y' | 'z'), or pass a
+  // null axis to show everything again
+  setSlice(axis, level) {
+    let slice = null;
+    if (axis !== null) {
+      const size = this.voxelWorld.getBounds()[axis];
+      slice = { axis, level: Math.max(0, Math.min(size - 1, Math.round(level))) };
+    }
+    if (slice?.axis === this.slice?.axis && slice?.level === this.slice?.level) return;
+
+    this.slice = slice;
+    this.clippingPlanes.length = 0;
+    if (slice) {
+      // Keeps points with axis <= level + 0.5, the far faces of the last visible layer
+      const normal = new THREE.Vector3();
+      normal[axis] = -1;
+      this.slicePlane.set(normal, slice.level + 0.5);
+      this.clippingPlanes.push(this.slicePlane);
+    }
+    this.chunkLayer.setSlice(slice);
+
+    for (const listener of this.sliceListeners) {
+      listener(this.getSlice());
+    }
+  }
+
+  getSlice() {
+    return this.slice && { ...this.slice };
+  }
+
+  moveSlice(delta) {
+    if (this.slice) this.setSlice(this.slice.axis, this.slice.level + delta);
+  }
+
+  // Switch slicing along axis on (through the middle of the model) or, if already on, off
+  toggleSlice(axis) {
+    if (this.slice?.axis === axis) {
+      this.setSlice(null);
+      return;
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const voxel of this.voxelWorld.getAllVoxels()) {
+      min = Math.min(min, voxel[axis]);
+      max = Math.max(max, voxel[axis]);
+    }
+    const level = min <= max ? Math.floor((min + max) / 2) : Math.floor(this.voxelWorld.getBounds()[axis] / 2);
+    this.setSlice(axis, level);
+  }
+
+  // Whether a cell is hidden by the cross-section
+  isSliced(x, y, z) {
+    return this.slice !== null && { x, y, z }[this.slice.axis] > this.slice.level;
+  }
+
+  subscribeSlice(listener) {
+    this.sliceListeners.add(listener);
+    return () => this.sliceListeners.delete(listener);
+  }
+
+  // Move the work plane under layer level along axis ('x' | 'y' | 'z'); its grid follows
+  setWorkPlane(axis, level) {
+    const size = this.voxelWorld.getBounds()[axis];
+    level = Math.max(0, Math.min(size - 1, Math.round(level)));
+
+    const normal = new THREE.Vector3();
+    normal[axis] = 1;
+    this.workPlane.set(normal, 0.5 - level);
+    if (axis === this.workPlaneAxis && level === this.workPlaneLevel) return;
+
+    this.workPlaneAxis = axis;
+    this.workPlaneLevel = level;
+    if (this.gridHelper) {
+      this.gridHelper.geometry.dispose();
+      this.gridHelper.geometry = this.createWorkPlaneGridGeometry();
+    }
+
+    for (const listener of this.workPlaneListeners) {
+      listener(this.getWorkPlane());
+    }
+  }
+
+  getWorkPlane() {
+    return { axis: this.workPlaneAxis, level: this.workPlaneLevel };
+  }
+
+  moveWorkPlane(delta) {
+    this.setWorkPlane(this.workPlaneAxis, this.workPlaneLevel + delta);
+  }
+
+  // Turn the plane to another axis: back on the floor, or upright through the middle
+  setWorkPlaneAxis(axis) {
+    const level = axis === 'y' ? 0 : Math.floor(this.voxelWorld.getBounds()[axis] / 2);
+    this.setWorkPlane(axis, level);
+  }
+
+  subscribeWorkPlane(listener) {
+    this.workPlaneListeners.add(listener);
+    return () => this.workPlaneListeners.delete(listener);
+  }
+
+  // Raycast from normalized screen coords into the grid. Voxels are found by walking
+  // the ray cell by cell (Amanatides & Woo), so the cost depends on the distance
+  // travelled, not on the model size. Returns null on a miss, otherwise
+  // { x, y, z, normal, distance, point, hitVoxel? } where x/y/z is the empty cell in
+  // front of the hit face (outside the grid for an outer face of a boundary voxel) and
+  // hitVoxel is set when a voxel (not the work plane) was hit.
+  // Cells hidden by the cross-section are skipped.
   raycastToGrid(normalizedX, normalizedY) {
-    const raycaster = new THREE.Raycaster();
-    raycaster.setFromCamera({ x: normalizedX, y: normalizedY }, this.camera);
-
-    // Create planes for each level of the grid
-    const intersections = [];
-
-    // Ground plane (y = 0)
-    const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-    const groundIntersect = new THREE.Vector3();
-    if (raycaster.ray.intersectPlane(groundPlane, groundIntersect)) {
-      const x = Math.floor(groundIntersect.x + 0.5);
-      const z = Math.floor(groundIntersect.z + 0.5);
-      if (this.voxelWorld.isValidPosition(x, 0, z)) {
-        intersections.push({ x, y: 0, z, distance: groundIntersect.distanceTo(this.camera.position) });
+    this.pointer.set(normalizedX, normalizedY);
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const ray = this.raycaster.ray;
+
+    // Voxels in front of the work plane win; behind it they are only picked when the
+    // plane has no free cell there
+    const planeDistance = ray.distanceToPlane(this.workPlane);
+    const voxelHit = this.traverseGrid(ray, Infinity);
+    if (voxelHit && (planeDistance === null || voxelHit.distance <= planeDistance)) return voxelHit;
+
+    const planeHit = planeDistance === null ? null : this.getWorkPlaneHit(ray, planeDistance);
+    return planeHit ?? voxelHit;
+  }
+
+  // First occupied cell along the ray within maxDistance, or null
+  traverseGrid(ray, maxDistance) {
+    const size = this.getVisibleGridSize();
+    const origin = ray.origin.toArray();
+    const direction = ray.direction.toArray();
+
+    const span = this.clipToGrid(origin, direction, size, maxDistance);
+    if (!span) return null;
+    const { tEnter, tExit, enterAxis } = span;
+
+    const cell = [0, 0, 0];
+    const step = [0, 0, 0];
+    const tMax = [Infinity, Infinity, Infinity];
+    const tDelta = [Infinity, Infinity, Infinity];
+
+    for (let axis = 0; axis < 3; axis++) {
+      step[axis] = Math.sign(direction[axis]);
+
+      if (axis === enterAxis) {
+        cell[axis] = step[axis] > 0 ? 0 : size[axis] - 1;
+      } else {
+        const entry = origin[axis] + direction[axis] * tEnter;
+        cell[axis] = Math.min(size[axis] - 1, Math.max(0, Math.floor(entry + 0.5)));
+      }
+
+      if (step[axis] !== 0) {
+        tDelta[axis] = Math.abs(1 / direction[axis]);
+        tMax[axis] = (cell[axis] + step[axis] * 0.5 - origin[axis]) / direction[axis];
       }
     }
 
-    // Check intersection with existing voxels
-    const voxels = this.voxelWorld.getAllVoxels();
-    for (const voxel of voxels) {
-      const box = new THREE.Box3(
-        new THREE.Vector3(voxel.x - 0.5, voxel.y - 0.5, voxel.z - 0.5),
-        new THREE.Vector3(voxel.x + 0.5, voxel.y + 0.5, voxel.z + 0.5)
-      );
-
-      const intersection = new THREE.Vector3();
-      if (raycaster.ray.intersectBox(box, intersection)) {
-        // Determine which face was hit to place adjacent voxel
-        const faceNormal = this.getHitFaceNormal(intersection, voxel);
-        const newPos = {
-          x: voxel.x + faceNormal.x,
-          y: voxel.y + faceNormal.y,
-          z: voxel.z + faceNormal.z,
+    // Face the ray came through: the grid face it entered by, or the last axis it stepped
+    // along. A ray starting inside the grid (the camera orbited in close) tests its first
+    // cell too, through the face it would have crossed to get there.
+    let lastAxis = enterAxis >= 0 ? enterAxis : this.previousCrossing(tMax, tDelta);
+    let normal = this.axisNormal(lastAxis, -step[lastAxis]);
+    let t = tEnter;
+
+    for (;;) {
+      if (this.voxelWorld.getColorIndex(cell[0], cell[1], cell[2]) >= 0) {
+        return {
+          x: cell[0] + normal.x,
+          y: cell[1] + normal.y,
+          z: cell[2] + normal.z,
+          normal,
+          distance: t,
+          point: ray.at(t, new THREE.Vector3()),
+          hitVoxel: { x: cell[0], y: cell[1], z: cell[2] },
         };
-
-        if (this.voxelWorld.isValidPosition(newPos.x, newPos.y, newPos.z)) {
-          intersections.push({
-            ...newPos,
-            distance: intersection.distanceTo(this.camera.position),
-            hitVoxel: { x: voxel.x, y: voxel.y, z: voxel.z },
-          });
-        }
       }
+
+      const axis = tMax[0] < tMax[1]
+        ? (tMax[0] < tMax[2] ? 0 : 2)
+        : (tMax[1] < tMax[2] ? 1 : 2);
+      if (tMax[axis] > tExit) return null;
+
+      cell[axis] += step[axis];
+      t = tMax[axis];
+      tMax[axis] += tDelta[axis];
+      lastAxis = axis;
+      normal = this.axisNormal(lastAxis, -step[lastAxis]);
+    }
+  }
+
+  // Grid size as [x, y, z], cut short along the slice axis while slicing
+  getVisibleGridSize() {
+    const bounds = this.voxelWorld.getBounds();
+    const size = [bounds.x, bounds.y, bounds.z];
+    if (this.slice) {
+      const axis = ['x', 'y', 'z'].indexOf(this.slice.axis);
+      size[axis] = this.slice.level + 1;
     }
+    return size;
+  }
+
+  // Clip a ray (origin/direction arrays) to a grid box of the given size (cells span
+  // -0.5 .. size - 0.5) as { tEnter, tExit, enterAxis }; enterAxis is -1 when the ray
+  // starts inside
+  clipToGrid(origin, direction, size, maxDistance) {
+    let tEnter = 0;
+    let tExit = maxDistance;
+    let enterAxis = -1;
+    for (let axis = 0; axis < 3; axis++) {
+      const low = -0.5;
+      const high = size[axis] - 0.5;
+
+      if (direction[axis] === 0) {
+        if (origin[axis] < low || origin[axis] > high) return null;
+        continue;
+      }
+
+      let t0 = (low - origin[axis]) / direction[axis];
+      let t1 = (high - origin[axis]) / direction[axis];
+      if (t0 > t1) [t0, t1] = [t1, t0];
 
-    // Return closest intersection
-    if (intersections.length > 0) {
-      intersections.sort((a, b) => a.distance - b.distance);
-      return intersections[0];
+      if (t0 > tEnter) {
+        tEnter = t0;
+        enterAxis = axis;
+      }
+      tExit = Math.min(tExit, t1);
+      if (tEnter > tExit) return null;
     }
 
-    return null;
+    return { tEnter, tExit, enterAxis };
   }
 
-  getHitFaceNormal(intersection, voxel) {
-    const dx = intersection.x - voxel.x;
-    const dy = intersection.y - voxel.y;
-    const dz = intersection.z - voxel.z;
+  // Depth mode: the cell at a fraction of the way (depth 0 = front, 1 = back) along the
+  // part of the ray that crosses the grid, occupied or not, so the cursor can sit in
+  // mid-air. hitVoxel is set when the cell holds a voxel; guide is the ray's stretch.
+  raycastAtDepth(normalizedX, normalizedY, depth) {
+    this.pointer.set(normalizedX, normalizedY);
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const ray = this.raycaster.ray;
+
+    const size = this.getVisibleGridSize();
+    const span = this.clipToGrid(ray.origin.toArray(), ray.direction.toArray(), size, Infinity);
+    if (!span) return null;
+
+    const distance = span.tEnter + (span.tExit - span.tEnter) * depth;
+    const point = ray.at(distance, new THREE.Vector3());
+    const snap = (value, max) => Math.min(max - 1, Math.max(0, Math.round(value) || 0));
+    const x = snap(point.x, size[0]);
+    const y = snap(point.y, size[1]);
+    const z = snap(point.z, size[2]);
+
+    return {
+      x,
+      y,
+      z,
+      normal: null,
+      distance,
+      point,
+      hitVoxel: this.voxelWorld.hasVoxel(x, y, z) ? { x, y, z } : null,
+      guide: { start: ray.at(span.tEnter, new THREE.Vector3()), end: ray.at(span.tExit, new THREE.Vector3()) },
+    };
+  }
 
-    const ax = Math.abs(dx);
-    const ay = Math.abs(dy);
-    const az = Math.abs(dz);
+  // Cell of the work plane layer where the ray meets the plane
+  getWorkPlaneHit(ray, distance) {
+    const point = ray.at(distance, new THREE.Vector3());
 
-    if (ax >= ay && ax >= az) {
-      return { x: dx > 0 ? 1 : -1, y: 0, z: 0 };
-    } else if (ay >= ax && ay >= az) {
-      return { x: 0, y: dy > 0 ? 1 : -1, z: 0 };
-    } else {
-      return { x: 0, y: 0, z: dz > 0 ? 1 : -1 };
+    const snap = (value) => Math.round(value) || 0; // Avoid -0
+    const cell = { x: snap(point.x), y: snap(point.y), z: snap(point.z) };
+    cell[this.workPlaneAxis] = this.workPlaneLevel;
+    const { x, y, z } = cell;
+
+    if (!this.voxelWorld.isValidPosition(x, y, z) || this.voxelWorld.hasVoxel(x, y, z) || this.isSliced(x, y, z)) {
+      return null;
     }
+
+    const normal = this.workPlane.normal.clone();
+    if (normal.dot(ray.direction) > 0) normal.negate();
+
+    return { x, y, z, normal: { x: normal.x, y: normal.y, z: normal.z }, distance, point };
+  }
+
+  axisNormal(axis, sign) {
+    return { x: axis === 0 ? sign : 0, y: axis === 1 ? sign : 0, z: axis === 2 ? sign : 0 };
+  }
+
+  // Axis of the cell face a ray last crossed before its current cell, from the
+  // traversal's next-crossing distances (tMax) and per-cell steps (tDelta)
+  previousCrossing(tMax, tDelta) {
+    let best = 0;
+    let bestT = -Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+      if (tDelta[axis] === Infinity) continue;
+      const t = tMax[axis] - tDelta[axis];
+      if (t > bestT) {
+        best = axis;
+        bestT = t;
+      }
+    }
+    return best;
+  }
+
+  // Draw the scene into a render target for captures: no cursor, the grid and boundary
+  // only with helpers, and a solid background color or (null) a transparent one
+  renderOffscreen(camera, target, { background = null, helpers = false } = {}) {
+    const previousTarget = this.renderer.getRenderTarget();
+    const previousBackground = this.scene.background;
+    const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = this.renderer.getClearAlpha();
+    const hidden = [this.cursorMesh, this.depthGuide, this.gridHelper, this.boundaryBox].filter(
+      (object) => object.visible && (object === this.cursorMesh || object === this.depthGuide || !helpers)
+    );
+
+    for (const object of hidden) object.visible = false;
+    this.chunkLayer.flush();
+    this.scene.background = background === null ? null : new THREE.Color(background);
+    this.renderer.setClearColor(0x000000, 0);
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.scene, camera);
+
+    this.renderer.setRenderTarget(previousTarget);
+    this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+    this.scene.background = previousBackground;
+    for (const object of hidden) object.visible = true;
   }
 
   // Get scene for export
@@ -1,10 +1,25 @@
-import { GRID_SIZE, COLORS } from '../utils/constants.js';
+import { GRID_SIZE, MAX_GRID_SIZE, CHUNK_SIZE } from '../utils/constants.js';
+import { VoxelChunk } from './VoxelChunk.js';
 
 export class VoxelWorld {
-  constructor() {
-    // Store voxels as a Map with key "x,y,z" and value { color: index }
-    this.voxels = new Map();
+  constructor(bounds = GRID_SIZE) {
+    // Store voxels in CHUNK_SIZE³ chunks keyed by chunk coordinate "cx,cy,cz"
+    this.chunks = new Map();
+    this.count = 0;
+    this.bounds = this.normalizeBounds(bounds);
     this.listeners = new Set();
+    this.boundsListeners = new Set();
+
+    // Batching: edits are collected per cell until the outermost batch commits
+    this.batchDepth = 0;
+    this.pendingChanges = new Map();
+  }
+
+  // Accept a single edge length or { x, y, z } and clamp to supported sizes
+  normalizeBounds(bounds) {
+    const size = typeof bounds === 'number' ? { x: bounds, y: bounds, z: bounds } : bounds;
+    const clamp = (value) => Math.max(1, Math.min(MAX_GRID_SIZE, Math.floor(value) || GRID_SIZE));
+    return { x: clamp(size.x), y: clamp(size.y), z: clamp(size.z) };
   }
 
   // Generate key from coordinates
@@ -18,12 +33,82 @@ export class VoxelWorld {
     return { x, y, z };
   }
 
+  // Get the chunk holding a world position, optionally creating it
+  getChunkAt(x, y, z, create = false) {
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cy = Math.floor(y / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    const key = this.getKey(cx, cy, cz);
+
+    let chunk = this.chunks.get(key);
+    if (!chunk && create) {
+      chunk = new VoxelChunk(cx, cy, cz);
+      this.chunks.set(key, chunk);
+    }
+    return chunk;
+  }
+
+  // Get chunk by chunk coordinate
+  getChunk(cx, cy, cz) {
+    return this.chunks.get(this.getKey(cx, cy, cz));
+  }
+
+  // Get all non-empty chunks
+  getChunks() {
+    return this.chunks.values();
+  }
+
+  // Get grid bounds as { x, y, z } cell counts
+  getBounds() {
+    return { ...this.bounds };
+  }
+
+  // Resize the grid, dropping voxels that fall outside the new bounds
+  setBounds(bounds) {
+    const next = this.normalizeBounds(bounds);
+    if (next.x === this.bounds.x && next.y === this.bounds.y && next.z === this.bounds.z) {
+      return;
+    }
+
+    this.bounds = next;
+
+    let removed = 0;
+    for (const [key, chunk] of this.chunks) {
+      chunk.forEach((x, y, z, colorIndex) => {
+        if (!this.isValidPosition(x, y, z)) {
+          chunk.set(x - chunk.cx * CHUNK_SIZE, y - chunk.cy * CHUNK_SIZE, z - chunk.cz * CHUNK_SIZE, -1);
+          this.recordChange(x, y, z, colorIndex, -1);
+          removed++;
+        }
+      });
+      if (chunk.isEmpty()) {
+        this.chunks.delete(key);
+      }
+    }
+    this.count -= removed;
+
+    for (const listener of this.boundsListeners) {
+      listener(this.getBounds());
+    }
+    this.flushChanges();
+  }
+
+  // Count voxels that would be dropped by shrinking to the given bounds
+  countOutside(bounds) {
+    const size = this.normalizeBounds(bounds);
+    let outside = 0;
+    this.forEachVoxel((x, y, z) => {
+      if (x >= size.x || y >= size.y || z >= size.z) outside++;
+    });
+    return outside;
+  }
+
   // Check if position is within grid bounds
   isValidPosition(x, y, z) {
     return (
-      x >= 0 && x < GRID_SIZE &&
-      y >= 0 && y < GRID_SIZE &&
-      z >= 0 && z < GRID_SIZE
+      x >= 0 && x < this.bounds.x &&
+      y >= 0 && y < this.bounds.y &&
+      z >= 0 && z < this.bounds.z
     );
   }
 
@@ -31,69 +116,170 @@ export class VoxelWorld {
   addVoxel(x, y, z, colorIndex) {
     if (!this.isValidPosition(x, y, z)) return false;
 
-    const key = this.getKey(x, y, z);
-    const existed = this.voxels.has(key);
+    const chunk = this.getChunkAt(x, y, z, true);
+    const lx = x - chunk.cx * CHUNK_SIZE;
+    const ly = y - chunk.cy * CHUNK_SIZE;
+    const lz = z - chunk.cz * CHUNK_SIZE;
+    const previous = chunk.get(lx, ly, lz);
+    const existed = previous >= 0;
 
-    this.voxels.set(key, { colorIndex });
-    this.notifyListeners();
+    chunk.set(lx, ly, lz, colorIndex);
+    if (!existed) this.count++;
+    this.recordChange(x, y, z, previous, colorIndex);
+    this.flushChanges();
 
     return { added: true, wasNew: !existed };
   }
 
   // Remove a voxel at position
   removeVoxel(x, y, z) {
-    const key = this.getKey(x, y, z);
-    const existed = this.voxels.has(key);
+    const chunk = this.isValidPosition(x, y, z) ? this.getChunkAt(x, y, z) : null;
+    if (!chunk) return { removed: false };
+
+    const lx = x - chunk.cx * CHUNK_SIZE;
+    const ly = y - chunk.cy * CHUNK_SIZE;
+    const lz = z - chunk.cz * CHUNK_SIZE;
+    const previous = chunk.get(lx, ly, lz);
+    const existed = previous >= 0;
 
     if (existed) {
-      this.voxels.delete(key);
-      this.notifyListeners();
+      chunk.set(lx, ly, lz, -1);
+      this.count--;
+      if (chunk.isEmpty()) {
+        this.chunks.delete(this.getKey(chunk.cx, chunk.cy, chunk.cz));
+      }
+      this.recordChange(x, y, z, previous, -1);
+      this.flushChanges();
     }
 
     return { removed: existed };
   }
 
+  // Get colorIndex at position, or -1 if empty
+  getColorIndex(x, y, z) {
+    if (!this.isValidPosition(x, y, z)) return -1;
+
+    const chunk = this.getChunkAt(x, y, z);
+    if (!chunk) return -1;
+
+    return chunk.get(x - chunk.cx * CHUNK_SIZE, y - chunk.cy * CHUNK_SIZE, z - chunk.cz * CHUNK_SIZE);
+  }
+
   // Check if voxel exists at position
   hasVoxel(x, y, z) {
-    return this.voxels.has(this.getKey(x, y, z));
+    return this.getColorIndex(x, y, z) >= 0;
   }
 
   // Get voxel at position
   getVoxel(x, y, z) {
-    return this.voxels.get(this.getKey(x, y, z));
+    const colorIndex = this.getColorIndex(x, y, z);
+    return colorIndex >= 0 ? { colorIndex } : undefined;
+  }
+
+  // Iterate all voxels without allocating an array
+  forEachVoxel(callback) {
+    for (const chunk of this.chunks.values()) {
+      chunk.forEach(callback);
+    }
   }
 
   // Get all voxels as array of { x, y, z, colorIndex }
   getAllVoxels() {
     const result = [];
-    for (const [key, data] of this.voxels) {
-      const { x, y, z } = this.parseKey(key);
-      result.push({ x, y, z, colorIndex: data.colorIndex });
-    }
+    this.forEachVoxel((x, y, z, colorIndex) => {
+      result.push({ x, y, z, colorIndex });
+    });
     return result;
   }
 
   // Get voxel count
   getCount() {
-    return this.voxels.size;
+    return this.count;
   }
 
   // Clear all voxels
   clear() {
-    this.voxels.clear();
-    this.notifyListeners();
+    this.forEachVoxel((x, y, z, colorIndex) => {
+      this.recordChange(x, y, z, colorIndex, -1);
+    });
+    this.chunks.clear();
+    this.count = 0;
+    this.flushChanges();
+  }
+
+  // Start collecting edits; listeners are notified once when the outermost batch commits
+  beginBatch() {
+    this.batchDepth++;
+  }
+
+  // End a batch started with beginBatch()
+  commitBatch() {
+    if (this.batchDepth === 0) return;
+    this.batchDepth--;
+    this.flushChanges();
+  }
+
+  // Run fn as a single batch, emitting one change event for all of its edits
+  batch(fn) {
+    this.beginBatch();
+    try {
+      return fn(this);
+    } finally {
+      this.commitBatch();
+    }
+  }
+
+  // Remember a cell's color before the first edit in this batch and after the latest
+  recordChange(x, y, z, before, after) {
+    const key = this.getKey(x, y, z);
+    const pending = this.pendingChanges.get(key);
+
+    if (pending) {
+      pending.after = after;
+    } else {
+      this.pendingChanges.set(key, { x, y, z, before, after });
+    }
+  }
+
+  // Turn pending edits into a diff and notify, unless a batch is still open
+  flushChanges() {
+    if (this.batchDepth > 0 || this.pendingChanges.size === 0) return;
+
+    const change = { added: [], removed: [], recolored: [] };
+    for (const { x, y, z, before, after } of this.pendingChanges.values()) {
+      if (before === after) continue;
+
+      if (before < 0) {
+        change.added.push({ x, y, z, colorIndex: after });
+      } else if (after < 0) {
+        change.removed.push({ x, y, z, colorIndex: before });
+      } else {
+        change.recolored.push({ x, y, z, colorIndex: after, previousColorIndex: before });
+      }
+    }
+    this.pendingChanges.clear();
+
+    if (change.added.length || change.removed.length || change.recolored.length) {
+      this.notifyListeners(change);
+    }
   }
 
-  // Subscribe to changes
+  // Subscribe to changes; listeners receive (world, { added, removed, recolored })
   subscribe(listener) {
     this.listeners.add(listener);
     return () => this.listeners.delete(listener);
   }
 
+  // Subscribe to grid bounds changes
+  subscribeBounds(listener) {
+    this.boundsListeners.add(listener);
+    return () => this.boundsListeners.delete(listener);
+  }
+
   // Notify all listeners of changes
-  notifyListeners() {
+  notifyListeners(change) {
     for (const listener of this.listeners) {
-      listener(this);
+      listener(this, change);
     }
   }
 
@@ -104,20 +290,11 @@ export class VoxelWorld {
 
   // Import voxels from JSON
   fromJSON(data) {
-    this.voxels.clear();
-    for (const voxel of data) {
-      this.addVoxel(voxel.x, voxel.y, voxel.z, voxel.colorIndex);
-    }
-  }
-
-  // Get state for undo/redo
-  getState() {
-    return JSON.stringify(this.toJSON());
-  }
-
-  // Restore state from undo/redo
-  setState(stateString) {
-    const data = JSON.parse(stateString);
-    this.fromJSON(data);
+    this.batch(() => {
+      this.clear();
+      for (const voxel of data) {
+        this.addVoxel(voxel.x, voxel.y, voxel.z, voxel.colorIndex);
+      }
+    });
   }
 }
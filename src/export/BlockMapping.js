@@ -0,0 +1,185 @@
+// Which Minecraft block each project color becomes in schematic exports. Colors without
+// an explicit choice use the nearest wool or concrete block; choices are keyed by color
+// (not palette index) so they survive palette edits and are saved with the project.
+
+// Average texture colors of the 16 dye colors as wool and concrete
+const DYE_COLORS = {
+  white: [0xe9ecec, 0xcfd5d6],
+  orange: [0xf07613, 0xe06100],
+  magenta: [0xbd44b3, 0xa9309f],
+  light_blue: [0x3aafd9, 0x2389c6],
+  yellow: [0xf8c527, 0xf0af15],
+  lime: [0x70b919, 0x5ea818],
+  pink: [0xed8dac, 0xd5658e],
+  gray: [0x3e4447, 0x36393d],
+  light_gray: [0x8e8e86, 0x7d7d73],
+  cyan: [0x158991, 0x157788],
+  purple: [0x792aac, 0x641f9c],
+  blue: [0x35399d, 0x2c2e8f],
+  brown: [0x724728, 0x603b1f],
+  green: [0x546d1b, 0x495b24],
+  red: [0xa12722, 0x8e2020],
+  black: [0x141519, 0x080a0f],
+};
+
+// Blocks offered by default, as { id, color }
+export const MINECRAFT_COLOR_BLOCKS = Object.entries(DYE_COLORS).flatMap(([dye, [wool, concrete]]) => [
+  { id: `minecraft:${dye}_wool`, color: wool },
+  { id: `minecraft:${dye}_concrete`, color: concrete },
+]);
+
+// Approximate colors for common building blocks, used when importing schematics
+const COMMON_BLOCK_COLORS = {
+  stone: 0x7d7d7d,
+  cobblestone: 0x7a7a7a,
+  stone_bricks: 0x7a7979,
+  deepslate: 0x505052,
+  andesite: 0x888889,
+  diorite: 0xbcbcbc,
+  granite: 0x956755,
+  dirt: 0x866043,
+  grass_block: 0x5d9c3a,
+  sand: 0xdbd3a0,
+  sandstone: 0xd8cb9b,
+  gravel: 0x837f7e,
+  clay: 0xa0a6b3,
+  bricks: 0x966153,
+  oak_planks: 0xa2834f,
+  spruce_planks: 0x735531,
+  birch_planks: 0xc0af79,
+  dark_oak_planks: 0x432b14,
+  oak_log: 0x6d5533,
+  spruce_log: 0x3a2611,
+  oak_leaves: 0x3b7f20,
+  glass: 0xc0f5fe,
+  water: 0x3f76e4,
+  lava: 0xcf5b14,
+  snow_block: 0xf9fefe,
+  ice: 0x91b7fd,
+  obsidian: 0x0f0a18,
+  netherrack: 0x612626,
+  quartz_block: 0xebe5de,
+  terracotta: 0x985e43,
+  glowstone: 0xab8654,
+  gold_block: 0xf6d03d,
+  iron_block: 0xdcdcdc,
+  diamond_block: 0x62ede4,
+  emerald_block: 0x2abc58,
+  redstone_block: 0xaf1805,
+  lapis_block: 0x1e438c,
+};
+
+const UNKNOWN_BLOCK_COLOR = 0x808080;
+
+// Longest first so "light_blue_..." isn't read as "blue"
+const DYE_NAMES = Object.keys(DYE_COLORS).sort((a, b) => b.length - a.length);
+
+export class BlockMapping {
+  constructor(palette) {
+    this.palette = palette;
+
+    // 0xRRGGBB -> block state chosen by the user
+    this.overrides = new Map();
+    this.listeners = new Set();
+  }
+
+  // Block state for a palette entry
+  getBlock(colorIndex) {
+    const color = this.palette.getColor(colorIndex);
+    return this.overrides.get(color) ?? BlockMapping.getDefaultBlock(color);
+  }
+
+  isOverridden(colorIndex) {
+    return this.overrides.has(this.palette.getColor(colorIndex));
+  }
+
+  // Choose the block for a palette entry; an empty id goes back to the default
+  setBlock(colorIndex, blockId) {
+    const color = this.palette.getColor(colorIndex);
+    const id = blockId.trim() ? BlockMapping.normalizeId(blockId) : null;
+
+    if (id === null || id === BlockMapping.getDefaultBlock(color)) {
+      this.overrides.delete(color);
+    } else {
+      this.overrides.set(color, id);
+    }
+    this.notifyListeners();
+  }
+
+  // Color for a block from a schematic: a user mapping that produces it, then known
+  // block colors, then the dye named in the id (red_stained_glass, ...), else gray
+  getColorForBlock(blockState) {
+    const id = blockState.split('[')[0];
+    for (const [color, mapped] of this.overrides) {
+      if (mapped.split('[')[0] === id) return color;
+    }
+
+    const known = MINECRAFT_COLOR_BLOCKS.find((block) => block.id === id);
+    if (known) return known.color;
+
+    // Shapes take the color of their material: oak_stairs -> oak_planks, brick_wall -> bricks
+    const [namespace, name = ''] = id.split(':');
+    if (namespace === 'minecraft') {
+      const base = name.replace(/_(stairs|slab|wall|fence_gate|fence|door|trapdoor|button|pressure_plate)$/, '');
+      const material = [name, base, `${base}_planks`, `${base}s`, `${base}_block`].find((candidate) =>
+        Object.hasOwn(COMMON_BLOCK_COLORS, candidate)
+      );
+      if (material) return COMMON_BLOCK_COLORS[material];
+    }
+
+    const dye = DYE_NAMES.find((dyeName) => name === dyeName || name.startsWith(dyeName + '_'));
+    return dye ? DYE_COLORS[dye][0] : UNKNOWN_BLOCK_COLOR;
+  }
+
+  // User choices as [[0xRRGGBB, blockState], ...] for project files
+  toJSON() {
+    return [...this.overrides.entries()];
+  }
+
+  fromJSON(entries = []) {
+    this.overrides = new Map(entries.map(([color, id]) => [color, BlockMapping.normalizeId(id)]));
+    this.notifyListeners();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    for (const listener of this.listeners) {
+      listener(this);
+    }
+  }
+
+  // Nearest wool or concrete block by squared RGB distance
+  static getDefaultBlock(color) {
+    let best = MINECRAFT_COLOR_BLOCKS[0];
+    let bestDistance = Infinity;
+    for (const block of MINECRAFT_COLOR_BLOCKS) {
+      const dr = ((color >> 16) & 255) - ((block.color >> 16) & 255);
+      const dg = ((color >> 8) & 255) - ((block.color >> 8) & 255);
+      const db = (color & 255) - (block.color & 255);
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = block;
+      }
+    }
+    return best.id;
+  }
+
+  // Expand "stone" to "minecraft:stone"; throws for anything that isn't a block state
+  static normalizeId(blockId) {
+    const text = String(blockId).trim().toLowerCase();
+    const id = text.includes(':') ? text : `minecraft:${text}`;
+    if (!BlockMapping.isValidId(id)) {
+      throw new Error(`"${text}" is not a block id (e.g. minecraft:stone or oak_stairs[facing=east])`);
+    }
+    return id;
+  }
+
+  static isValidId(id) {
+    return /^[a-z0-9_.-]+:[a-z0-9_./-]+(\[[a-z0-9_]+=[a-z0-9_]+(,[a-z0-9_]+=[a-z0-9_]+)*\])?$/.test(id);
+  }
+}
@@ -0,0 +1,289 @@
+// Layer-by-layer build sheets. The occupied region is cut into Y levels, each drawn
+// top-down as an SVG grid with a letter key per color, plus a bill of materials.
+
+const CELL = 24;
+const MARGIN = 40;
+const HEADER = 64;
+const MIN_WIDTH = 520;
+const LEGEND_COLUMN = 160;
+const LEGEND_ROW = 24;
+const FONT = 'font-family="Helvetica, Arial, sans-serif"';
+
+// Grids wider than this drop the per-cell letters and label every 5th row/column only
+const LABEL_LIMIT = 48;
+
+const escapeXML = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const toCSS = (color) => '#' + color.toString(16).padStart(6, '0');
+
+// Dark text on light colors and vice versa (Rec. 709 luma)
+const textColorFor = (color) => {
+  const luma = 0.2126 * ((color >> 16) & 255) + 0.7152 * ((color >> 8) & 255) + 0.0722 * (color & 255);
+  return luma > 140 ? '#000' : '#fff';
+};
+
+// Most used colors first, ties by palette index
+const byUsage = (totals) => ([a], [b]) => totals.get(b) - totals.get(a) || a - b;
+
+// A, B, ... Z, AA, AB, ...
+const keyName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+export class BlueprintWriter {
+  // Group voxels into layers over their bounding box. Colors are keyed by how often
+  // they are used, so the most common block gets "A".
+  // Returns { min, size, layers: [{ level, cells, counts }], totals, keys } where cells
+  // holds a color index (or -1) at x + z * size.x and counts/totals map color -> blocks.
+  static build(voxels) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const voxel of voxels) {
+      for (const axis of ['x', 'y', 'z']) {
+        min[axis] = Math.min(min[axis], voxel[axis]);
+        max[axis] = Math.max(max[axis], voxel[axis]);
+      }
+    }
+    const size = { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+
+    // Empty levels inside the range are kept so layer numbers match heights
+    const layers = Array.from({ length: size.y }, (_, i) => ({
+      level: min.y + i,
+      cells: new Int16Array(size.x * size.z).fill(-1),
+      counts: new Map(),
+    }));
+
+    const totals = new Map();
+    for (const { x, y, z, colorIndex } of voxels) {
+      const layer = layers[y - min.y];
+      layer.cells[x - min.x + (z - min.z) * size.x] = colorIndex;
+      layer.counts.set(colorIndex, (layer.counts.get(colorIndex) ?? 0) + 1);
+      totals.set(colorIndex, (totals.get(colorIndex) ?? 0) + 1);
+    }
+
+    const keys = new Map(
+      [...totals.entries()]
+        .sort(byUsage(totals))
+        .map(([colorIndex], i) => [colorIndex, keyName(i)])
+    );
+
+    return { min, size, layers, totals, keys };
+  }
+
+  // One layer as a standalone SVG: header, labelled grid, a grey ghost of the layer
+  // below, and the block counts for this layer
+  static layerSVG(blueprint, layerIndex, palette, name) {
+    const { size, layers, totals, keys } = blueprint;
+    const layer = layers[layerIndex];
+    const below = layers[layerIndex - 1];
+    const gridWidth = size.x * CELL;
+    const gridHeight = size.z * CELL;
+    const width = Math.max(gridWidth + MARGIN * 2, MIN_WIDTH);
+    const left = (width - gridWidth) / 2;
+
+    const entries = [...layer.counts.entries()].sort(byUsage(totals));
+    const legendTop = HEADER + gridHeight + 48;
+    const legend = BlueprintWriter.legendSVG(entries, keys, palette, legendTop, width);
+    const height = legendTop + legend.height + MARGIN / 2;
+
+    const blocks = [...layer.counts.values()].reduce((sum, count) => sum + count, 0);
+    const parts = [
+      BlueprintWriter.openSVG(width, height),
+      `<text x="${MARGIN / 2}" y="28" font-size="18" font-weight="bold">${escapeXML(name)}</text>`,
+      `<text x="${MARGIN / 2}" y="48" font-size="13">Layer ${layerIndex + 1} of ${layers.length} (y = ${layer.level}) · ${blocks} block${blocks === 1 ? '' : 's'}</text>`,
+    ];
+
+    // Cells in row runs of one color; the layer below shows through where this one is empty
+    for (let z = 0; z < size.z; z++) {
+      for (let x = 0; x < size.x; ) {
+        const index = x + z * size.x;
+        const colorIndex = layer.cells[index];
+        const ghost = colorIndex < 0 && below && below.cells[index] >= 0;
+        let end = x + 1;
+        while (end < size.x) {
+          const next = end + z * size.x;
+          const nextColor = layer.cells[next];
+          const nextGhost = nextColor < 0 && below && below.cells[next] >= 0;
+          if (nextColor !== colorIndex || nextGhost !== ghost) break;
+          end++;
+        }
+
+        if (colorIndex >= 0 || ghost) {
+          const fill = colorIndex >= 0 ? toCSS(palette.getColor(colorIndex)) : '#e6e6e6';
+          parts.push(`<rect x="${left + x * CELL}" y="${HEADER + z * CELL}" width="${(end - x) * CELL}" height="${CELL}" fill="${fill}"/>`);
+        }
+        x = end;
+      }
+    }
+
+    parts.push(BlueprintWriter.gridLinesSVG(size, left));
+
+    // Letter keys, so the sheet still works printed in black and white
+    if (Math.max(size.x, size.z) <= LABEL_LIMIT) {
+      parts.push(`<g font-size="12" font-weight="bold" text-anchor="middle">`);
+      for (let z = 0; z < size.z; z++) {
+        for (let x = 0; x < size.x; x++) {
+          const colorIndex = layer.cells[x + z * size.x];
+          if (colorIndex < 0) continue;
+          const fill = textColorFor(palette.getColor(colorIndex));
+          parts.push(`<text x="${left + (x + 0.5) * CELL}" y="${HEADER + (z + 0.5) * CELL + 4}" fill="${fill}">${keys.get(colorIndex)}</text>`);
+        }
+      }
+      parts.push('</g>');
+    }
+
+    if (below?.counts.size > 0) {
+      parts.push(`<text x="${width - MARGIN / 2}" y="48" font-size="11" text-anchor="end" fill="#555">grey = layer below</text>`);
+    }
+    parts.push(
+      `<text x="${width / 2}" y="${HEADER + gridHeight + 24}" font-size="12" text-anchor="middle" fill="#555">FRONT</text>`,
+      legend.svg,
+      '</svg>'
+    );
+    return parts.join('');
+  }
+
+  // Overall bill of materials: every color with its key and block count
+  static bomSVG(blueprint, palette, name) {
+    const { size, totals, keys, layers } = blueprint;
+    const width = MIN_WIDTH;
+    const top = 112;
+    const entries = [...totals.entries()].sort(byUsage(totals));
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    const height = top + (entries.length + 1) * LEGEND_ROW + MARGIN;
+
+    const parts = [
+      BlueprintWriter.openSVG(width, height),
+      `<text x="${MARGIN / 2}" y="28" font-size="18" font-weight="bold">${escapeXML(name)}</text>`,
+      `<text x="${MARGIN / 2}" y="48" font-size="13">Bill of materials · ${total} block${total === 1 ? '' : 's'} · ${layers.length} layer${layers.length === 1 ? '' : 's'}</text>`,
+      `<text x="${MARGIN / 2}" y="68" font-size="13">Footprint ${size.x} × ${size.z}, height ${size.y}</text>`,
+      `<g font-size="12" font-weight="bold" fill="#555">`,
+      `<text x="${MARGIN / 2}" y="${top - 8}">KEY</text>`,
+      `<text x="${MARGIN / 2 + 80}" y="${top - 8}">COLOR</text>`,
+      `<text x="${width - MARGIN / 2}" y="${top - 8}" text-anchor="end">BLOCKS</text>`,
+      '</g>',
+    ];
+
+    entries.forEach(([colorIndex, count], i) => {
+      const y = top + i * LEGEND_ROW;
+      const color = palette.getColor(colorIndex);
+      parts.push(
+        `<rect x="${MARGIN / 2}" y="${y}" width="18" height="18" fill="${toCSS(color)}" stroke="#000"/>`,
+        `<text x="${MARGIN / 2 + 28}" y="${y + 14}" font-size="13" font-weight="bold">${keys.get(colorIndex)}</text>`,
+        `<text x="${MARGIN / 2 + 80}" y="${y + 14}" font-size="13">${toCSS(color)}</text>`,
+        `<text x="${width - MARGIN / 2}" y="${y + 14}" font-size="13" text-anchor="end">${count}</text>`
+      );
+    });
+
+    const y = top + entries.length * LEGEND_ROW + 14;
+    parts.push(
+      `<line x1="${MARGIN / 2}" y1="${y - 12}" x2="${width - MARGIN / 2}" y2="${y - 12}" stroke="#000"/>`,
+      `<text x="${MARGIN / 2}" y="${y + 6}" font-size="13" font-weight="bold">Total</text>`,
+      `<text x="${width - MARGIN / 2}" y="${y + 6}" font-size="13" font-weight="bold" text-anchor="end">${total}</text>`,
+      '</svg>'
+    );
+    return parts.join('');
+  }
+
+  // Bill of materials as CSV
+  static bomCSV(blueprint, palette) {
+    const lines = ['key,color,blocks'];
+    for (const [colorIndex, count] of [...blueprint.totals.entries()].sort(byUsage(blueprint.totals))) {
+      lines.push(`${blueprint.keys.get(colorIndex)},${toCSS(palette.getColor(colorIndex))},${count}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // Printable HTML: the bill of materials, then one page per layer (print to PDF from the browser)
+  static writeHTML(blueprint, palette, name) {
+    const pages = [
+      BlueprintWriter.bomSVG(blueprint, palette, name),
+      ...blueprint.layers.map((_, i) => BlueprintWriter.layerSVG(blueprint, i, palette, name)),
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXML(name)} - blueprint</title>
+<style>
+  body { margin: 0; background: #ddd; font-family: Helvetica, Arial, sans-serif; }
+  .toolbar { padding: 12px; text-align: center; }
+  .page { background: #fff; max-width: 760px; margin: 0 auto 16px; padding: 16px; break-after: page; }
+  .page:last-child { break-after: auto; }
+  .page svg { display: block; width: 100%; height: auto; max-height: 95vh; }
+  @media print {
+    body { background: none; }
+    .toolbar { display: none; }
+    .page { max-width: none; margin: 0; padding: 0; }
+  }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="print()">Print / save as PDF</button></div>
+${pages.map((svg) => `<section class="page">${svg}</section>`).join('\n')}
+</body>
+</html>
+`;
+  }
+
+  static openSVG(width, height) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ${FONT}><rect width="100%" height="100%" fill="#fff"/>`;
+  }
+
+  // Thin lines per cell, heavier ones every 5 cells for counting, and row/column numbers
+  static gridLinesSVG(size, left) {
+    const gridWidth = size.x * CELL;
+    const gridHeight = size.z * CELL;
+    const minor = [];
+    const major = [];
+    for (let x = 0; x <= size.x; x++) {
+      (x % 5 === 0 || x === size.x ? major : minor).push(`M${left + x * CELL} ${HEADER}v${gridHeight}`);
+    }
+    for (let z = 0; z <= size.z; z++) {
+      (z % 5 === 0 || z === size.z ? major : minor).push(`M${left} ${HEADER + z * CELL}h${gridWidth}`);
+    }
+
+    const sparse = Math.max(size.x, size.z) > LABEL_LIMIT;
+    const labelled = (n) => !sparse || n === 1 || n % 5 === 0;
+    const labels = [];
+    for (let x = 1; x <= size.x; x++) {
+      if (labelled(x)) labels.push(`<text x="${left + (x - 0.5) * CELL}" y="${HEADER - 6}" text-anchor="middle">${x}</text>`);
+    }
+    for (let z = 1; z <= size.z; z++) {
+      if (labelled(z)) labels.push(`<text x="${left - 6}" y="${HEADER + (z - 0.5) * CELL + 4}" text-anchor="end">${z}</text>`);
+    }
+
+    return [
+      `<path d="${minor.join('')}" stroke="#bbb" stroke-width="1" fill="none"/>`,
+      `<path d="${major.join('')}" stroke="#444" stroke-width="1.5" fill="none"/>`,
+      `<g font-size="10" fill="#555">${labels.join('')}</g>`,
+    ].join('');
+  }
+
+  // Swatch, key and count for each entry, in as many columns as fit
+  static legendSVG(entries, keys, palette, top, width) {
+    const columns = Math.max(1, Math.floor((width - MARGIN) / LEGEND_COLUMN));
+    const rows = Math.ceil(entries.length / columns);
+    const parts = [];
+
+    if (entries.length === 0) {
+      parts.push(`<text x="${MARGIN / 2}" y="${top + 14}" font-size="13" fill="#555">Empty layer</text>`);
+    }
+    entries.forEach(([colorIndex, count], i) => {
+      const x = MARGIN / 2 + Math.floor(i / rows) * LEGEND_COLUMN;
+      const y = top + (i % rows) * LEGEND_ROW;
+      parts.push(
+        `<rect x="${x}" y="${y}" width="18" height="18" fill="${toCSS(palette.getColor(colorIndex))}" stroke="#000"/>`,
+        `<text x="${x + 26}" y="${y + 14}" font-size="13"><tspan font-weight="bold">${keys.get(colorIndex)}</tspan> × ${count}</text>`
+      );
+    });
+
+    return { svg: parts.join(''), height: Math.max(rows, 1) * LEGEND_ROW };
+  }
+}
@@ -1,76 +1,153 @@
 import * as THREE from 'three';
-import { COLORS, VOXEL_SIZE } from '../utils/constants.js';
+import { VOXEL_SIZE, DEFAULT_STL_SCALE, AO_LEVELS, BLUEPRINT_MAX_IMAGE_SIZE } from '../utils/constants.js';
+import { VoxFormat } from './VoxFormat.js';
+import { STLWriter } from './STLWriter.js';
+import { GreedyMesher } from '../core/GreedyMesher.js';
+import { MeshBuilder } from '../core/MeshBuilder.js';
+import { SurfaceMesher } from '../core/SurfaceMesher.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+import { BlueprintWriter } from './BlueprintWriter.js';
+import { GIFWriter } from './GIFWriter.js';
+import { SchematicFormat, AIR_BLOCK } from './SchematicFormat.js';
+import { RenderCapture } from './RenderCapture.js';
+import { downloadFile } from '../utils/download.js';
 
 export class ExportManager {
-  constructor(voxelWorld, voxelRenderer) {
+  constructor(voxelWorld, voxelRenderer, palette, blockMapping) {
     this.voxelWorld = voxelWorld;
     this.voxelRenderer = voxelRenderer;
+    this.palette = palette;
+    this.blockMapping = blockMapping;
+    this.renderCapture = new RenderCapture(voxelRenderer);
   }
 
-  // Export to OBJ format
-  exportOBJ() {
-    const voxels = this.voxelWorld.getAllVoxels();
-    if (voxels.length === 0) {
+  // Export to OBJ + MTL (zipped): greedy-meshed, hidden faces culled, one material per
+  // palette entry. Vertex colors (`v x y z r g b`) can carry baked ambient occlusion.
+  exportOBJ({ vertexColors = false, ambientOcclusion = false } = {}) {
+    if (this.voxelWorld.getCount() === 0) {
       alert('No voxels to export!');
       return;
     }
 
-    let objContent = '# Gesture Voxel Editor Export\n';
-    objContent += '# Voxel count: ' + voxels.length + '\n\n';
+    const baseName = 'voxel-creation';
+    const mesher = new GreedyMesher(this.voxelWorld, { ambientOcclusion: vertexColors && ambientOcclusion });
+    const quads = mesher.meshWorld();
 
-    let vertexIndex = 1;
-    const size = VOXEL_SIZE / 2;
+    const zip = new ZipWriter();
+    zip.addFile(`${baseName}.obj`, this.buildOBJ(quads, `${baseName}.mtl`, { vertexColors }));
+    zip.addFile(`${baseName}.mtl`, this.buildMTL());
 
-    // Generate OBJ content
-    for (const voxel of voxels) {
-      const { x, y, z, colorIndex } = voxel;
-      const color = COLORS[colorIndex];
-      const r = ((color >> 16) & 255) / 255;
-      const g = ((color >> 8) & 255) / 255;
-      const b = (color & 255) / 255;
-
-      // Add comment for color (some viewers support this)
-      objContent += `# Color: ${r.toFixed(3)} ${g.toFixed(3)} ${b.toFixed(3)}\n`;
-
-      // Vertices for a cube
-      const vertices = [
-        [x - size, y - size, z - size],
-        [x + size, y - size, z - size],
-        [x + size, y + size, z - size],
-        [x - size, y + size, z - size],
-        [x - size, y - size, z + size],
-        [x + size, y - size, z + size],
-        [x + size, y + size, z + size],
-        [x - size, y + size, z + size],
-      ];
-
-      for (const [vx, vy, vz] of vertices) {
-        objContent += `v ${vx} ${vy} ${vz}\n`;
+    downloadFile(zip.toArrayBuffer(), `${baseName}-obj.zip`, 'application/zip');
+  }
+
+  buildOBJ(quads, mtlFileName, { vertexColors = false } = {}) {
+    const lines = [
+      '# Gesture Voxel Editor Export',
+      '# Voxel count: ' + this.voxelWorld.getCount(),
+      `mtllib ${mtlFileName}`,
+      '',
+    ];
+
+    // Shared vertices, indexed by position (and color, when written)
+    const vertexIndices = new Map();
+    const vertexLines = [];
+    const getVertex = ([x, y, z], color) => {
+      const key = color ? `${x} ${y} ${z} ${color}` : `${x} ${y} ${z}`;
+      let index = vertexIndices.get(key);
+      if (index === undefined) {
+        index = vertexIndices.size + 1; // 1-indexed in OBJ
+        vertexIndices.set(key, index);
+        vertexLines.push(`v ${key}`);
       }
+      return index;
+    };
 
-      // Faces (1-indexed in OBJ)
-      const faces = [
-        [1, 2, 3, 4], // Front
-        [5, 6, 7, 8], // Back
-        [1, 5, 8, 4], // Left
-        [2, 6, 7, 3], // Right
-        [4, 3, 7, 8], // Top
-        [1, 2, 6, 5], // Bottom
-      ];
-
-      for (const face of faces) {
-        const [a, b, c, d] = face.map((i) => i + vertexIndex - 1);
-        objContent += `f ${a} ${b} ${c} ${d}\n`;
+    // One normal per axis direction
+    const normalLines = [];
+    const normalIndices = new Map();
+    const getNormal = (normal) => {
+      const key = normal.join(' ');
+      if (!normalIndices.has(key)) {
+        normalIndices.set(key, normalIndices.size + 1);
+        normalLines.push(`vn ${key}`);
       }
+      return normalIndices.get(key);
+    };
+
+    // Group faces by material
+    const faceGroups = new Map();
+    for (const quad of quads) {
+      const n = getNormal(quad.normal);
+      const corners = quad.vertices.map((vertex, k) => {
+        const color = vertexColors ? this.getVertexColor(quad, k) : null;
+        return `${getVertex(vertex, color)}//${n}`;
+      });
 
-      vertexIndex += 8;
+      // Importers fan-triangulate from the first corner, so start where the
+      // occlusion-friendly diagonal begins
+      if (MeshBuilder.flipDiagonal(quad)) corners.push(corners.shift());
+      const face = 'f ' + corners.join(' ');
+
+      if (!faceGroups.has(quad.colorIndex)) {
+        faceGroups.set(quad.colorIndex, []);
+      }
+      faceGroups.get(quad.colorIndex).push(face);
     }
 
-    this.downloadFile(objContent, 'voxel-creation.obj', 'text/plain');
+    lines.push(...vertexLines, '', ...normalLines, '');
+
+    for (const [colorIndex, faces] of faceGroups) {
+      lines.push(`g color_${colorIndex}`, `usemtl ${this.getMaterialName(colorIndex)}`, ...faces, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  // OBJ vertex color as "r g b" (0-1, sRGB), shaded by the quad's ambient occlusion
+  getVertexColor(quad, k) {
+    const color = this.palette.getColor(quad.colorIndex);
+    const shade = quad.ao ? AO_LEVELS[quad.ao[k]] : 1;
+    return [(color >> 16) & 255, (color >> 8) & 255, color & 255]
+      .map((value) => ((value / 255) * shade).toFixed(4))
+      .join(' ');
   }
 
-  // Export to GLB format (using Three.js)
-  async exportGLB() {
+  buildMTL() {
+    const lines = ['# Gesture Voxel Editor Materials', ''];
+
+    this.palette.getColors().forEach((color, colorIndex) => {
+      const r = (((color >> 16) & 255) / 255).toFixed(4);
+      const g = (((color >> 8) & 255) / 255).toFixed(4);
+      const b = ((color & 255) / 255).toFixed(4);
+
+      lines.push(
+        `newmtl ${this.getMaterialName(colorIndex)}`,
+        `Ka ${r} ${g} ${b}`,
+        `Kd ${r} ${g} ${b}`,
+        'Ks 0.0000 0.0000 0.0000',
+        'd 1.0',
+        'illum 1',
+        ''
+      );
+    });
+
+    return lines.join('\n');
+  }
+
+  getMaterialName(colorIndex) {
+    return `color_${colorIndex}_${this.palette.getCSSColor(colorIndex).slice(1)}`;
+  }
+
+  // Export to GLB: greedy-meshed geometry, one mesh per color (or a single
+  // vertex-colored mesh with optional baked occlusion), optionally tagged with the
+  // project name and palette
+  async exportGLB({
+    name = '',
+    vertexColors = false,
+    ambientOcclusion = false,
+    centered = true,
+    embedMetadata = true,
+  } = {}) {
     const voxels = this.voxelWorld.getAllVoxels();
     if (voxels.length === 0) {
       alert('No voxels to export!');
@@ -80,48 +157,71 @@ export class ExportManager {
     // Dynamically import GLTFExporter
     const { GLTFExporter } = await import('three/addons/exporters/GLTFExporter.js');
 
-    // Create a new scene with merged geometry
+    const projectName = name || 'Voxel Creation';
     const exportScene = new THREE.Scene();
+    exportScene.name = projectName;
 
-    // Group voxels by color for efficiency
-    const colorGroups = new Map();
+    // Centered: model centered on X/Z and resting on y = 0. Grid origin: the
+    // grid's corner sits at the origin, matching positions in the editor.
+    const { min, max } = this.getVoxelBounds(voxels);
+    const offset = centered
+      ? [-(min.x + max.x) / 2, 0.5 - min.y, -(min.z + max.z) / 2]
+      : [0.5, 0.5, 0.5];
 
-    for (const voxel of voxels) {
-      if (!colorGroups.has(voxel.colorIndex)) {
-        colorGroups.set(voxel.colorIndex, []);
-      }
-      colorGroups.get(voxel.colorIndex).push(voxel);
-    }
+    const createMesh = (quads, material, meshName) => {
+      const geometry = MeshBuilder.buildGeometry(quads, { palette: vertexColors ? this.palette : null });
+      geometry.translate(...offset);
+      geometry.scale(VOXEL_SIZE, VOXEL_SIZE, VOXEL_SIZE);
 
-    // Create merged mesh for each color
-    for (const [colorIndex, voxelList] of colorGroups) {
-      const geometry = new THREE.BoxGeometry(
-        VOXEL_SIZE * 0.95,
-        VOXEL_SIZE * 0.95,
-        VOXEL_SIZE * 0.95
-      );
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.name = meshName;
+      exportScene.add(mesh);
+    };
 
-      const color = new THREE.Color(COLORS[colorIndex]);
+    const mesher = new GreedyMesher(this.voxelWorld, { ambientOcclusion: vertexColors && ambientOcclusion });
+    const quads = mesher.meshWorld();
+
+    if (vertexColors) {
       const material = new THREE.MeshStandardMaterial({
-        color: color,
+        vertexColors: true,
         roughness: 0.3,
         metalness: 0.1,
       });
-
-      for (const voxel of voxelList) {
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.set(voxel.x, voxel.y, voxel.z);
-        exportScene.add(mesh);
+      material.name = 'voxels';
+      createMesh(quads, material, 'voxels');
+    } else {
+      for (const [colorIndex, colorQuads] of MeshBuilder.groupByColor(quads)) {
+        const material = new THREE.MeshStandardMaterial({
+          color: new THREE.Color(this.palette.getColor(colorIndex)),
+          roughness: 0.3,
+          metalness: 0.1,
+        });
+        material.name = this.getMaterialName(colorIndex);
+        createMesh(colorQuads, material, `color_${colorIndex}`);
       }
     }
 
-    // Export using GLTFExporter
+    // GLTFExporter writes userData to the scene's glTF extras
+    if (embedMetadata) {
+      exportScene.userData = {
+        name: projectName,
+        palette: this.palette.getColors().map((_, colorIndex) => this.palette.getCSSColor(colorIndex)),
+        voxelCount: voxels.length,
+      };
+    }
+
     const exporter = new GLTFExporter();
 
     exporter.parse(
       exportScene,
       (glb) => {
-        this.downloadFile(glb, 'voxel-creation.glb', 'application/octet-stream');
+        exportScene.traverse((object) => {
+          if (object.isMesh) {
+            object.geometry.dispose();
+            object.material.dispose();
+          }
+        });
+        downloadFile(glb, 'voxel-creation.glb', 'model/gltf-binary');
       },
       (error) => {
         console.error('GLB export error:', error);
@@ -131,41 +231,236 @@ export class ExportManager {
     );
   }
 
-  // Take screenshot
-  takeScreenshot() {
-    const renderer = this.voxelRenderer.getRenderer();
-    const scene = this.voxelRenderer.getScene();
-    const camera = this.voxelRenderer.getCamera();
+  // Export to STL for 3D printing: one watertight surface, or one per color (zipped)
+  exportSTL({ scale = DEFAULT_STL_SCALE, binary = true, splitByColor = false } = {}) {
+    const voxels = this.voxelWorld.getAllVoxels();
+    if (voxels.length === 0) {
+      alert('No voxels to export!');
+      return;
+    }
+
+    const baseName = 'voxel-creation';
+    const { min, max } = this.getVoxelBounds(voxels);
+
+    // Slicers expect Z up and millimetres, with the model resting on the bed at z = 0
+    const toPrintSpace = (triangle) => ({
+      normal: [triangle.normal[0], -triangle.normal[2], triangle.normal[1]],
+      vertices: triangle.vertices.map(([x, y, z]) => [
+        (x - min.x + 0.5) * scale,
+        (max.z + 0.5 - z) * scale,
+        (y - min.y + 0.5) * scale,
+      ]),
+    });
+
+    const write = (triangles, name) =>
+      binary ? STLWriter.writeBinary(triangles, name) : STLWriter.writeASCII(triangles, name);
+
+    if (!splitByColor) {
+      const mesher = new SurfaceMesher((x, y, z) => this.voxelWorld.hasVoxel(x, y, z));
+      const triangles = mesher.mesh(voxels).map(toPrintSpace);
+      downloadFile(write(triangles, baseName), `${baseName}.stl`, 'model/stl');
+      return;
+    }
+
+    // Each color is meshed as its own solid so every part is printable on its own
+    const colorGroups = new Map();
+    for (const voxel of voxels) {
+      if (!colorGroups.has(voxel.colorIndex)) {
+        colorGroups.set(voxel.colorIndex, []);
+      }
+      colorGroups.get(voxel.colorIndex).push(voxel);
+    }
+
+    const zip = new ZipWriter();
+    for (const [colorIndex, cells] of colorGroups) {
+      const mesher = new SurfaceMesher((x, y, z) => this.voxelWorld.getColorIndex(x, y, z) === colorIndex);
+      const triangles = mesher.mesh(cells).map(toPrintSpace);
+      const name = `${baseName}-${this.getMaterialName(colorIndex)}`;
+      zip.addFile(`${name}.stl`, write(triangles, name));
+    }
+
+    downloadFile(zip.toArrayBuffer(), `${baseName}-stl.zip`, 'application/zip');
+  }
+
+  // Export to MagicaVoxel .vox format
+  exportVOX() {
+    const voxels = this.voxelWorld.getAllVoxels();
+    if (voxels.length === 0) {
+      alert('No voxels to export!');
+      return;
+    }
 
-    // Render to get the current frame
-    renderer.render(scene, camera);
+    // Crop to the occupied region so the model sits at the .vox origin
+    const { min, size } = this.getVoxelBounds(voxels);
 
-    // Get data URL
-    const dataURL = renderer.domElement.toDataURL('image/png');
+    const voxVoxels = voxels.map((voxel) => ({
+      ...VoxFormat.fromEditor(
+        { x: voxel.x - min.x, y: voxel.y - min.y, z: voxel.z - min.z },
+        size.z
+      ),
+      colorIndex: voxel.colorIndex + 1, // .vox palette indices start at 1
+    }));
 
-    // Create download link
-    const link = document.createElement('a');
-    link.download = 'voxel-screenshot.png';
-    link.href = dataURL;
-    link.click();
+    try {
+      const buffer = VoxFormat.write({
+        size: { x: size.x, y: size.z, z: size.y },
+        voxels: voxVoxels,
+        palette: [0x000000, ...this.palette.getColors()],
+      });
+      downloadFile(buffer, 'voxel-creation.vox', 'application/octet-stream');
+    } catch (error) {
+      console.error('VOX export error:', error);
+      alert('Failed to export VOX: ' + error.message);
+    }
   }
 
-  // Helper to download file
-  downloadFile(content, filename, mimeType) {
-    let blob;
+  // Export a Sponge schematic (.schem) for Minecraft, cropped to the model, with each
+  // color placed as the block chosen in the block mapping
+  async exportSchematic({ name = 'voxel-creation', version = 3 } = {}) {
+    const voxels = this.voxelWorld.getAllVoxels();
+    if (voxels.length === 0) {
+      alert('No voxels to export!');
+      return;
+    }
 
-    if (content instanceof ArrayBuffer) {
-      blob = new Blob([content], { type: mimeType });
-    } else {
-      blob = new Blob([content], { type: mimeType });
+    const { min, size } = this.getVoxelBounds(voxels);
+    const palette = [AIR_BLOCK];
+    const paletteIndices = new Map();
+    const blocks = new Uint32Array(size.x * size.y * size.z);
+
+    for (const voxel of voxels) {
+      const blockState = this.blockMapping.getBlock(voxel.colorIndex);
+      if (!paletteIndices.has(blockState)) {
+        paletteIndices.set(blockState, palette.length);
+        palette.push(blockState);
+      }
+      const x = voxel.x - min.x;
+      const y = voxel.y - min.y;
+      const z = voxel.z - min.z;
+      blocks[x + z * size.x + y * size.x * size.z] = paletteIndices.get(blockState);
+    }
+
+    try {
+      const bytes = await SchematicFormat.write({ size, blocks, palette }, { version, name });
+      downloadFile(bytes, `${this.getFileBaseName(name)}.schem`, 'application/octet-stream');
+    } catch (error) {
+      console.error('Schematic export error:', error);
+      alert('Failed to export schematic: ' + error.message);
+    }
+  }
+
+  // Export layer-by-layer build sheets with a bill of materials, as one printable HTML
+  // page per layer or a zip of PNGs (plus the parts list as CSV)
+  async exportBlueprint({ name = 'voxel-creation', format = 'html' } = {}) {
+    const voxels = this.voxelWorld.getAllVoxels();
+    if (voxels.length === 0) {
+      alert('No voxels to export!');
+      return;
     }
 
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.click();
+    const blueprint = BlueprintWriter.build(voxels);
+    const baseName = this.getFileBaseName(name);
+
+    if (format === 'html') {
+      const html = BlueprintWriter.writeHTML(blueprint, this.palette, name);
+      downloadFile(html, `${baseName}-blueprint.html`, 'text/html');
+      return;
+    }
+
+    try {
+      const zip = new ZipWriter();
+      const digits = String(blueprint.layers.length).length;
+      zip.addFile('bill-of-materials.csv', BlueprintWriter.bomCSV(blueprint, this.palette));
+      zip.addFile('bill-of-materials.png', await this.svgToPNG(BlueprintWriter.bomSVG(blueprint, this.palette, name)));
+      for (let i = 0; i < blueprint.layers.length; i++) {
+        const svg = BlueprintWriter.layerSVG(blueprint, i, this.palette, name);
+        zip.addFile(`layer-${String(i + 1).padStart(digits, '0')}.png`, await this.svgToPNG(svg));
+      }
+      downloadFile(zip.toArrayBuffer(), `${baseName}-blueprint.zip`, 'application/zip');
+    } catch (error) {
+      console.error('Blueprint export error:', error);
+      alert('Failed to export blueprint: ' + error.message);
+    }
+  }
+
+  // Rasterize a standalone SVG (with width/height set) at twice its size, capped so
+  // huge grids stay within canvas limits
+  async svgToPNG(svg) {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+
+      const scale = Math.min(2, BLUEPRINT_MAX_IMAGE_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      return await this.canvasToPNG(canvas);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // File name stem from a project name, e.g. "My Castle" -> "my-castle"
+  getFileBaseName(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug || 'voxel-creation';
+  }
+
+  // Get the occupied region as { min, max, size } in grid cells
+  getVoxelBounds(voxels) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+    for (const voxel of voxels) {
+      for (const axis of ['x', 'y', 'z']) {
+        min[axis] = Math.min(min[axis], voxel[axis]);
+        max[axis] = Math.max(max[axis], voxel[axis]);
+      }
+    }
+
+    return {
+      min,
+      max,
+      size: { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 },
+    };
+  }
+
+  // Render the current view offscreen to a PNG of any size
+  // ({ width, height, supersample, background, helpers }, see RenderCapture)
+  async renderImage(options) {
+    const canvas = this.renderCapture.renderImage(options);
+    downloadFile(await this.canvasToPNG(canvas), 'voxel-render.png', 'image/png');
+  }
+
+  // Render frames around the orbit as an animated GIF or a zip of numbered PNGs.
+  // onProgress(done, total) is called after every frame.
+  async renderTurntable({ frames, fps, format = 'gif', ...options }, onProgress) {
+    const delay = 1000 / fps;
+
+    if (format === 'gif') {
+      const gif = new GIFWriter(options.width, options.height);
+      await this.renderCapture.renderTurntable({ frames, ...options }, (canvas, i) => {
+        gif.addFrame(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height), delay);
+        onProgress?.(i + 1, frames);
+      });
+      downloadFile(gif.toUint8Array(), 'voxel-turntable.gif', 'image/gif');
+      return;
+    }
+
+    const zip = new ZipWriter();
+    const digits = String(frames - 1).length;
+    await this.renderCapture.renderTurntable({ frames, ...options }, async (canvas, i) => {
+      zip.addFile(`frame-${String(i).padStart(digits, '0')}.png`, await this.canvasToPNG(canvas));
+      onProgress?.(i + 1, frames);
+    });
+    downloadFile(zip.toArrayBuffer(), 'voxel-turntable.zip', 'application/zip');
+  }
 
-    URL.revokeObjectURL(url);
+  async canvasToPNG(canvas) {
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    return new Uint8Array(await blob.arrayBuffer());
   }
 }
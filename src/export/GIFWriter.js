@@ -0,0 +1,292 @@
+// Animated GIF encoder. Every frame gets its own 256-color table (median cut over a
+// 15-bit histogram), so slowly changing scenes such as turntables keep their shading.
+
+const HISTOGRAM_BITS = 5;
+const HISTOGRAM_SIZE = 1 << (HISTOGRAM_BITS * 3);
+const MAX_CODE = 4096;
+
+// Growable byte buffer; frames of large renders run to megabytes
+class ByteBuffer {
+  constructor(capacity = 1 << 16) {
+    this.data = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  push(...values) {
+    this.reserve(values.length);
+    for (const value of values) {
+      this.data[this.length++] = value;
+    }
+  }
+
+  pushByte(value) {
+    if (this.length === this.data.length) this.reserve(1);
+    this.data[this.length++] = value;
+  }
+
+  pushBytes(bytes) {
+    this.reserve(bytes.length);
+    this.data.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.data.length) return;
+    const data = new Uint8Array(Math.max(this.data.length * 2, this.length + count));
+    data.set(this.data.subarray(0, this.length));
+    this.data = data;
+  }
+
+  toUint8Array() {
+    return this.data.slice(0, this.length);
+  }
+}
+
+export class GIFWriter {
+  constructor(width, height, { loop = true } = {}) {
+    this.width = width;
+    this.height = height;
+    this.bytes = new ByteBuffer();
+
+    this.writeString('GIF89a');
+    this.writeUint16(width);
+    this.writeUint16(height);
+    this.bytes.push(0, 0, 0); // No global color table, background 0, square pixels
+
+    if (loop) {
+      // NETSCAPE2.0 extension: repeat forever
+      this.bytes.push(0x21, 0xff, 0x0b);
+      this.writeString('NETSCAPE2.0');
+      this.bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    }
+  }
+
+  // Add an ImageData frame; pixels under half alpha become transparent
+  addFrame(imageData, delayMs) {
+    const { palette, indices, transparentIndex } = GIFWriter.quantize(imageData.data);
+    const hasTransparency = transparentIndex >= 0;
+
+    // Graphic control extension: restore to background between frames when transparent
+    const disposal = hasTransparency ? 2 : 1;
+    this.bytes.push(0x21, 0xf9, 0x04, (disposal << 2) | (hasTransparency ? 1 : 0));
+    this.writeUint16(Math.max(2, Math.round(delayMs / 10)));
+    this.bytes.push(hasTransparency ? transparentIndex : 0, 0x00);
+
+    // Image descriptor with a full 256-entry local color table
+    this.bytes.push(0x2c);
+    this.writeUint16(0);
+    this.writeUint16(0);
+    this.writeUint16(this.width);
+    this.writeUint16(this.height);
+    this.bytes.push(0x87);
+    for (let i = 0; i < 256; i++) {
+      const color = palette[i] ?? 0;
+      this.bytes.push((color >> 16) & 255, (color >> 8) & 255, color & 255);
+    }
+
+    this.writeImageData(indices);
+  }
+
+  // Finish the file and return its bytes
+  toUint8Array() {
+    this.bytes.pushByte(0x3b);
+    return this.bytes.toUint8Array();
+  }
+
+  // LZW-compress color indices into 255-byte sub-blocks
+  writeImageData(indices) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    const output = new ByteBuffer();
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    const emit = (code) => {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        output.pushByte(bitBuffer & 255);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    let dictionary = new Map();
+    let nextCode = endCode + 1;
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const value = indices[i];
+      const key = prefix * 256 + value;
+      const code = dictionary.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode === MAX_CODE) {
+        emit(clearCode);
+        dictionary = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        dictionary.set(key, nextCode++);
+      }
+      prefix = value;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) output.pushByte(bitBuffer & 255);
+
+    this.bytes.pushByte(minCodeSize);
+    for (let i = 0; i < output.length; i += 255) {
+      const block = output.data.subarray(i, Math.min(i + 255, output.length));
+      this.bytes.pushByte(block.length);
+      this.bytes.pushBytes(block);
+    }
+    this.bytes.pushByte(0);
+  }
+
+  writeUint16(value) {
+    this.bytes.push(value & 255, (value >> 8) & 255);
+  }
+
+  writeString(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.bytes.push(text.charCodeAt(i));
+    }
+  }
+
+  // Reduce RGBA pixels to at most 256 colors (255 plus a transparent slot when needed).
+  // Returns { palette: [0xRRGGBB], indices: Uint8Array, transparentIndex (-1 if none) }
+  static quantize(pixels) {
+    const pixelCount = pixels.length / 4;
+    const shift = 8 - HISTOGRAM_BITS;
+    const binOf = (i) =>
+      ((pixels[i] >> shift) << (HISTOGRAM_BITS * 2)) |
+      ((pixels[i + 1] >> shift) << HISTOGRAM_BITS) |
+      (pixels[i + 2] >> shift);
+
+    const counts = new Uint32Array(HISTOGRAM_SIZE);
+    let transparent = false;
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i + 3] < 128) {
+        transparent = true;
+      } else {
+        counts[binOf(i)]++;
+      }
+    }
+
+    const bins = [];
+    for (let bin = 0; bin < HISTOGRAM_SIZE; bin++) {
+      if (counts[bin] > 0) bins.push(bin);
+    }
+
+    const palette = GIFWriter.medianCut(bins, counts, transparent ? 255 : 256);
+    const transparentIndex = transparent ? palette.length : -1;
+
+    // Nearest palette entry per histogram bin, looked up lazily
+    const lookup = new Int16Array(HISTOGRAM_SIZE).fill(-1);
+    const nearest = (bin) => {
+      const r = ((bin >> (HISTOGRAM_BITS * 2)) << shift) + (1 << (shift - 1));
+      const g = (((bin >> HISTOGRAM_BITS) & 31) << shift) + (1 << (shift - 1));
+      const b = ((bin & 31) << shift) + (1 << (shift - 1));
+
+      let best = 0;
+      let bestDistance = Infinity;
+      palette.forEach((color, index) => {
+        const dr = ((color >> 16) & 255) - r;
+        const dg = ((color >> 8) & 255) - g;
+        const db = (color & 255) - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = index;
+        }
+      });
+      return best;
+    };
+
+    const indices = new Uint8Array(pixelCount);
+    for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+      if (pixels[i + 3] < 128) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+      const bin = binOf(i);
+      if (lookup[bin] < 0) lookup[bin] = nearest(bin);
+      indices[p] = lookup[bin];
+    }
+
+    return { palette, indices, transparentIndex };
+  }
+
+  // Split the histogram into boxes along their widest channel until there are maxColors,
+  // then average each box (weighted by pixel count)
+  static medianCut(bins, counts, maxColors) {
+    if (bins.length === 0) return [0];
+
+    const channel = (bin, c) => (bin >> (HISTOGRAM_BITS * (2 - c))) & 31;
+    const describe = (box) => {
+      let widest = 0;
+      let range = -1;
+      for (let c = 0; c < 3; c++) {
+        let min = 31;
+        let max = 0;
+        for (const bin of box) {
+          const value = channel(bin, c);
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+        if (max - min > range) {
+          range = max - min;
+          widest = c;
+        }
+      }
+      return { bins: box, widest, range };
+    };
+
+    const boxes = [describe(bins)];
+    while (boxes.length < maxColors) {
+      // Split the box with the largest spread; boxes of a single bin cannot split
+      let target = -1;
+      for (let i = 0; i < boxes.length; i++) {
+        if (boxes[i].range > 0 && (target < 0 || boxes[i].range > boxes[target].range)) target = i;
+      }
+      if (target < 0) break;
+
+      const { bins: box, widest } = boxes[target];
+      box.sort((a, b) => channel(a, widest) - channel(b, widest));
+
+      const total = box.reduce((sum, bin) => sum + counts[bin], 0);
+      let running = 0;
+      let split = 1;
+      for (; split < box.length - 1; split++) {
+        running += counts[box[split - 1]];
+        if (running >= total / 2) break;
+      }
+
+      boxes.splice(target, 1, describe(box.slice(0, split)), describe(box.slice(split)));
+    }
+
+    const shift = 8 - HISTOGRAM_BITS;
+    return boxes.map(({ bins: box }) => {
+      let weight = 0;
+      const sum = [0, 0, 0];
+      for (const bin of box) {
+        const count = counts[bin];
+        weight += count;
+        for (let c = 0; c < 3; c++) {
+          sum[c] += ((channel(bin, c) << shift) + (1 << (shift - 1))) * count;
+        }
+      }
+      const [r, g, b] = sum.map((value) => Math.round(value / weight));
+      return (r << 16) | (g << 8) | b;
+    });
+  }
+}
@@ -0,0 +1,124 @@
+import { GRID_SIZE_OPTIONS } from '../utils/constants.js';
+import { VoxFormat } from './VoxFormat.js';
+import { SchematicFormat } from './SchematicFormat.js';
+
+// Blocks that count as empty space in schematics
+const AIR_BLOCKS = new Set(['minecraft:air', 'minecraft:cave_air', 'minecraft:void_air', 'minecraft:structure_void']);
+
+export class ImportManager {
+  constructor(voxelWorld, palette, historyManager, blockMapping) {
+    this.voxelWorld = voxelWorld;
+    this.palette = palette;
+    this.historyManager = historyManager;
+    this.blockMapping = blockMapping;
+  }
+
+  // File extensions accepted by importFile(), for file pickers
+  getAcceptedExtensions() {
+    return ['.vox', '.schem'];
+  }
+
+  // Import a File (from a picker or drag-and-drop), replacing the current model
+  async importFile(file) {
+    const name = file.name.toLowerCase();
+
+    if (name.endsWith('.vox')) {
+      return this.importVOX(await file.arrayBuffer());
+    }
+    if (name.endsWith('.schem')) {
+      return this.importSchematic(await file.arrayBuffer());
+    }
+
+    throw new Error(`Unsupported file type: ${file.name}`);
+  }
+
+  // Import a MagicaVoxel .vox model. One undo step reverts the voxels along with the
+  // grid growth and palette colors the import added.
+  importVOX(buffer) {
+    const model = VoxFormat.read(buffer);
+
+    this.historyManager.step('Import .vox', () => {
+      this.fitBounds({ x: model.size.x, y: model.size.z, z: model.size.y });
+
+      // Map the .vox palette indices the model uses onto the project palette
+      const used = [...new Set(model.voxels.map((voxel) => voxel.colorIndex))].sort((a, b) => a - b);
+      const mapped = this.mergeColors(used.map((index) => model.palette[index]));
+      const colorMap = new Map(used.map((index, i) => [index, mapped[i]]));
+
+      this.voxelWorld.batch((world) => {
+        world.clear();
+        for (const voxel of model.voxels) {
+          const { x, y, z } = VoxFormat.toEditor(voxel, model.size);
+          world.addVoxel(x, y, z, colorMap.get(voxel.colorIndex));
+        }
+      });
+    });
+
+    return { count: this.voxelWorld.getCount(), modelCount: model.modelCount };
+  }
+
+  // Import a Sponge schematic (.schem); blocks get colors from the block mapping
+  async importSchematic(buffer) {
+    const schematic = await SchematicFormat.read(buffer);
+    const { size, blocks, palette } = schematic;
+
+    const used = [...new Set(blocks)].filter((index) => !AIR_BLOCKS.has(palette[index].split('[')[0]));
+    if (used.length === 0) {
+      throw new Error('Schematic contains only air');
+    }
+
+    this.historyManager.step('Import .schem', () => {
+      this.fitBounds(size);
+
+      const mapped = this.mergeColors(used.map((index) => this.blockMapping.getColorForBlock(palette[index])));
+      const colorMap = new Map(used.map((index, i) => [index, mapped[i]]));
+
+      this.voxelWorld.batch((world) => {
+        world.clear();
+        let i = 0;
+        for (let y = 0; y < size.y; y++) {
+          for (let z = 0; z < size.z; z++) {
+            for (let x = 0; x < size.x; x++, i++) {
+              const colorIndex = colorMap.get(blocks[i]);
+              if (colorIndex !== undefined) world.addVoxel(x, y, z, colorIndex);
+            }
+          }
+        }
+      });
+    });
+
+    return { count: this.voxelWorld.getCount() };
+  }
+
+  // Grow the grid to the smallest supported size that holds the model, as part of the
+  // open undo step
+  fitBounds(size) {
+    const bounds = this.voxelWorld.getBounds();
+    const needed = Math.max(size.x, size.y, size.z);
+
+    if (size.x <= bounds.x && size.y <= bounds.y && size.z <= bounds.z) return;
+
+    const gridSize = GRID_SIZE_OPTIONS.find((option) => option >= needed);
+    if (!gridSize) {
+      throw new Error(`Model is larger than the maximum grid size (${needed} voxels)`);
+    }
+
+    this.voxelWorld.setBounds(Math.max(gridSize, bounds.x, bounds.y, bounds.z));
+    this.historyManager.recordState('bounds', bounds, this.voxelWorld.getBounds(), (value) => {
+      this.voxelWorld.setBounds(value);
+    });
+  }
+
+  // Add the model's colors to the palette as part of the open undo step; returns their
+  // palette indices
+  mergeColors(colors) {
+    const before = this.palette.getColors();
+    const indices = this.palette.mergeColors(colors);
+    if (this.palette.size() !== before.length) {
+      this.historyManager.recordState('palette', before, this.palette.getColors(), (value) => {
+        this.palette.setColors(value);
+      });
+    }
+    return indices;
+  }
+}
@@ -0,0 +1,273 @@
+// Named Binary Tag (NBT) reader/writer, big-endian as in Minecraft Java Edition files
+// Spec: https://minecraft.wiki/w/NBT_format
+//
+// Values for write(): plain objects are compounds, strings are strings, and everything
+// else is wrapped with the typed helpers below (NBT.int(3), NBT.list(TAG.COMPOUND, []), ...).
+// read() returns plain values: numbers, BigInt for longs, typed arrays for the array
+// tags, arrays for lists and objects for compounds.
+
+export const TAG = {
+  END: 0,
+  BYTE: 1,
+  SHORT: 2,
+  INT: 3,
+  LONG: 4,
+  FLOAT: 5,
+  DOUBLE: 6,
+  BYTE_ARRAY: 7,
+  STRING: 8,
+  LIST: 9,
+  COMPOUND: 10,
+  INT_ARRAY: 11,
+  LONG_ARRAY: 12,
+};
+
+// Marks typed values so they can't be confused with compounds that have a "type" key
+const TYPE = Symbol('nbtType');
+
+const typed = (type, value) => ({ [TYPE]: type, value });
+
+// Growable big-endian output
+class NBTOutput {
+  constructor() {
+    this.bytes = new Uint8Array(1 << 12);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.bytes.length) return;
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  write(method, size, value) {
+    this.reserve(size);
+    this.view[method](this.length, value);
+    this.length += size;
+  }
+
+  writeBytes(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  writeString(text) {
+    const bytes = new TextEncoder().encode(text);
+    this.write('setUint16', 2, bytes.length);
+    this.writeBytes(bytes);
+  }
+}
+
+export class NBT {
+  static byte(value) {
+    return typed(TAG.BYTE, value);
+  }
+
+  static short(value) {
+    return typed(TAG.SHORT, value);
+  }
+
+  static int(value) {
+    return typed(TAG.INT, value);
+  }
+
+  static long(value) {
+    return typed(TAG.LONG, BigInt(value));
+  }
+
+  static float(value) {
+    return typed(TAG.FLOAT, value);
+  }
+
+  static double(value) {
+    return typed(TAG.DOUBLE, value);
+  }
+
+  static byteArray(value) {
+    return typed(TAG.BYTE_ARRAY, value);
+  }
+
+  static intArray(value) {
+    return typed(TAG.INT_ARRAY, value);
+  }
+
+  static longArray(value) {
+    return typed(TAG.LONG_ARRAY, value);
+  }
+
+  // List of one element type; items are given as write() values of that type
+  static list(elementType, items) {
+    return { ...typed(TAG.LIST, items), elementType };
+  }
+
+  // Serialize a root compound (uncompressed)
+  static write(name, root) {
+    const output = new NBTOutput();
+    output.write('setUint8', 1, TAG.COMPOUND);
+    output.writeString(name);
+    NBT.writePayload(output, TAG.COMPOUND, root);
+    return output.bytes.slice(0, output.length);
+  }
+
+  static typeOf(value) {
+    if (typeof value === 'string') return TAG.STRING;
+    return value?.[TYPE] ?? TAG.COMPOUND;
+  }
+
+  static writePayload(output, type, value) {
+    const raw = value?.[TYPE] === undefined ? value : value.value;
+
+    switch (type) {
+      case TAG.BYTE:
+        output.write('setInt8', 1, raw);
+        break;
+      case TAG.SHORT:
+        output.write('setInt16', 2, raw);
+        break;
+      case TAG.INT:
+        output.write('setInt32', 4, raw);
+        break;
+      case TAG.LONG:
+        output.write('setBigInt64', 8, BigInt(raw));
+        break;
+      case TAG.FLOAT:
+        output.write('setFloat32', 4, raw);
+        break;
+      case TAG.DOUBLE:
+        output.write('setFloat64', 8, raw);
+        break;
+      case TAG.BYTE_ARRAY:
+        output.write('setInt32', 4, raw.length);
+        output.writeBytes(new Uint8Array(raw.buffer, raw.byteOffset, raw.length));
+        break;
+      case TAG.STRING:
+        output.writeString(raw);
+        break;
+      case TAG.LIST:
+        output.write('setUint8', 1, raw.length > 0 ? value.elementType : TAG.END);
+        output.write('setInt32', 4, raw.length);
+        for (const item of raw) NBT.writePayload(output, value.elementType, item);
+        break;
+      case TAG.COMPOUND:
+        for (const [key, child] of Object.entries(raw)) {
+          const childType = NBT.typeOf(child);
+          output.write('setUint8', 1, childType);
+          output.writeString(key);
+          NBT.writePayload(output, childType, child);
+        }
+        output.write('setUint8', 1, TAG.END);
+        break;
+      case TAG.INT_ARRAY:
+        output.write('setInt32', 4, raw.length);
+        for (const item of raw) output.write('setInt32', 4, item);
+        break;
+      case TAG.LONG_ARRAY:
+        output.write('setInt32', 4, raw.length);
+        for (const item of raw) output.write('setBigInt64', 8, BigInt(item));
+        break;
+      default:
+        throw new Error(`Unknown NBT tag type ${type}`);
+    }
+  }
+
+  // Parse uncompressed NBT into { name, value } for the root compound
+  static read(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    let offset = 0;
+
+    const need = (count) => {
+      if (offset + count > view.byteLength) throw new Error('NBT data ends unexpectedly');
+    };
+    const get = (method, size) => {
+      need(size);
+      const value = view[method](offset);
+      offset += size;
+      return value;
+    };
+    const readString = () => {
+      const length = get('getUint16', 2);
+      need(length);
+      const text = decoder.decode(bytes.subarray(offset, offset + length));
+      offset += length;
+      return text;
+    };
+    const readLength = () => {
+      const length = get('getInt32', 4);
+      if (length < 0) throw new Error('NBT array has a negative length');
+      return length;
+    };
+
+    const readPayload = (type, depth) => {
+      if (depth > 512) throw new Error('NBT is nested too deeply');
+
+      switch (type) {
+        case TAG.BYTE:
+          return get('getInt8', 1);
+        case TAG.SHORT:
+          return get('getInt16', 2);
+        case TAG.INT:
+          return get('getInt32', 4);
+        case TAG.LONG:
+          return get('getBigInt64', 8);
+        case TAG.FLOAT:
+          return get('getFloat32', 4);
+        case TAG.DOUBLE:
+          return get('getFloat64', 8);
+        case TAG.BYTE_ARRAY: {
+          const length = readLength();
+          need(length);
+          const start = bytes.byteOffset + offset;
+          const array = new Int8Array(bytes.buffer.slice(start, start + length));
+          offset += length;
+          return array;
+        }
+        case TAG.STRING:
+          return readString();
+        case TAG.LIST: {
+          const elementType = get('getUint8', 1);
+          const length = readLength();
+          const items = [];
+          for (let i = 0; i < length; i++) items.push(readPayload(elementType, depth + 1));
+          return items;
+        }
+        case TAG.COMPOUND: {
+          // No prototype, so keys such as "__proto__" stay plain entries
+          const compound = Object.create(null);
+          for (;;) {
+            const childType = get('getUint8', 1);
+            if (childType === TAG.END) return compound;
+            const key = readString();
+            compound[key] = readPayload(childType, depth + 1);
+          }
+        }
+        case TAG.INT_ARRAY: {
+          const length = readLength();
+          need(length * 4);
+          const array = new Int32Array(length);
+          for (let i = 0; i < length; i++) array[i] = get('getInt32', 4);
+          return array;
+        }
+        case TAG.LONG_ARRAY: {
+          const length = readLength();
+          need(length * 8);
+          const array = new BigInt64Array(length);
+          for (let i = 0; i < length; i++) array[i] = get('getBigInt64', 8);
+          return array;
+        }
+        default:
+          throw new Error(`Unknown NBT tag type ${type}`);
+      }
+    };
+
+    if (get('getUint8', 1) !== TAG.COMPOUND) {
+      throw new Error('NBT root must be a compound');
+    }
+    const name = readString();
+    return { name, value: readPayload(TAG.COMPOUND, 0) };
+  }
+}
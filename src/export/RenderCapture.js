@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { MAX_SUPERSAMPLE } from '../utils/constants.js';
+
+// Box-filters scale x scale source texels per output pixel, then converts the linear,
+// premultiplied render into straight-alpha sRGB ready for readback
+const resolveShader = {
+  uniforms: {
+    source: { value: null },
+    sourceSize: { value: new THREE.Vector2() },
+    scale: { value: 1 },
+  },
+  vertexShader: /* glsl */ `
+    void main() {
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    uniform sampler2D source;
+    uniform vec2 sourceSize;
+    uniform int scale;
+
+    void main() {
+      vec2 base = floor(gl_FragCoord.xy) * float(scale);
+      vec4 sum = vec4(0.0);
+      for (int y = 0; y < ${MAX_SUPERSAMPLE}; y++) {
+        if (y >= scale) break;
+        for (int x = 0; x < ${MAX_SUPERSAMPLE}; x++) {
+          if (x >= scale) break;
+          sum += texture2D(source, (base + vec2(x, y) + 0.5) / sourceSize);
+        }
+      }
+      vec4 color = sum / float(scale * scale);
+
+      vec3 rgb = color.a > 0.0 ? color.rgb / color.a : vec3(0.0);
+      rgb = mix(rgb * 12.92, pow(rgb, vec3(1.0 / 2.4)) * 1.055 - 0.055, step(0.0031308, rgb));
+      gl_FragColor = vec4(clamp(rgb, 0.0, 1.0), color.a);
+    }
+  `,
+};
+
+// Offscreen renders of the 3D view at any size. The scene is drawn into a render target
+// at size x supersample, resolved down in a second pass and read back into a canvas, so
+// the webcam feed and HUD never end up in the image.
+export class RenderCapture {
+  constructor(voxelRenderer) {
+    this.voxelRenderer = voxelRenderer;
+    this.renderer = voxelRenderer.getRenderer();
+  }
+
+  // Largest output side for a supersampling factor on this GPU
+  getMaxSize(supersample) {
+    return Math.floor(this.renderer.capabilities.maxTextureSize / supersample);
+  }
+
+  // Render one image. angle turns the camera around the grid's vertical axis.
+  // background is a 0xRRGGBB color or null for transparent.
+  renderImage(options) {
+    const session = this.begin(options);
+    try {
+      return session.render(options.angle ?? 0);
+    } finally {
+      session.dispose();
+    }
+  }
+
+  // Render frames evenly spaced around the orbit, handing each canvas to onFrame
+  // (awaited, so it can encode and drop the frame before the next one is drawn)
+  async renderTurntable({ frames, ...options }, onFrame) {
+    const session = this.begin(options);
+    try {
+      for (let i = 0; i < frames; i++) {
+        await onFrame(session.render((i / frames) * Math.PI * 2), i);
+
+        // Let the page breathe between frames
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    } finally {
+      session.dispose();
+    }
+  }
+
+  // Allocate targets for a series of renders with the same settings
+  begin({ width, height, supersample = 1, background = null, helpers = false }) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+      throw new Error('Image size must be whole numbers of pixels');
+    }
+    const maxSize = this.getMaxSize(supersample);
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`This GPU renders at most ${maxSize} pixels per side at ${supersample}x supersampling`);
+    }
+
+    const { isWebGL2 } = this.renderer.capabilities;
+    const sceneTarget = new THREE.WebGLRenderTarget(width * supersample, height * supersample, {
+      // Half floats keep dark linear values from banding before the sRGB conversion
+      type: isWebGL2 ? THREE.HalfFloatType : THREE.UnsignedByteType,
+      samples: isWebGL2 ? 4 : 0,
+    });
+    const outputTarget = new THREE.WebGLRenderTarget(width, height);
+
+    const material = new THREE.ShaderMaterial({
+      ...resolveShader,
+      uniforms: THREE.UniformsUtils.clone(resolveShader.uniforms),
+      depthTest: false,
+      depthWrite: false,
+    });
+    material.uniforms.source.value = sceneTarget.texture;
+    material.uniforms.sourceSize.value.set(width * supersample, height * supersample);
+    material.uniforms.scale.value = supersample;
+
+    const quadScene = new THREE.Scene();
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    quad.frustumCulled = false;
+    quadScene.add(quad);
+    const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    const pixels = new Uint8Array(width * height * 4);
+
+    const render = (angle) => {
+      const camera = this.createCamera(width / height, angle);
+      this.voxelRenderer.renderOffscreen(camera, sceneTarget, { background, helpers });
+
+      const previousTarget = this.renderer.getRenderTarget();
+      this.renderer.setRenderTarget(outputTarget);
+      this.renderer.render(quadScene, quadCamera);
+      this.renderer.setRenderTarget(previousTarget);
+
+      this.renderer.readRenderTargetPixels(outputTarget, 0, 0, width, height, pixels);
+      return this.toCanvas(pixels, width, height);
+    };
+
+    const dispose = () => {
+      sceneTarget.dispose();
+      outputTarget.dispose();
+      quad.geometry.dispose();
+      material.dispose();
+    };
+
+    return { render, dispose };
+  }
+
+  // Copy of the current camera for another aspect ratio, optionally turned around the grid
+  createCamera(aspect, angle) {
+    const camera = this.voxelRenderer.getCamera().clone();
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = aspect;
+    } else {
+      camera.left = camera.bottom * aspect;
+      camera.right = camera.top * aspect;
+    }
+    camera.updateProjectionMatrix();
+
+    if (angle !== 0) {
+      const center = this.voxelRenderer.getGridCenter();
+      camera.position.sub(center).applyAxisAngle(new THREE.Vector3(0, 1, 0), angle).add(center);
+      camera.lookAt(center);
+    }
+
+    return camera;
+  }
+
+  // WebGL rows start at the bottom
+  toCanvas(pixels, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const rowSize = width * 4;
+    for (let y = 0; y < height; y++) {
+      image.data.set(pixels.subarray(y * rowSize, (y + 1) * rowSize), (height - 1 - y) * rowSize);
+    }
+    context.putImageData(image, 0, 0);
+
+    return canvas;
+  }
+}
@@ -0,0 +1,53 @@
+// STL serialization for triangle lists of { normal: [x, y, z], vertices: [[x, y, z] x3] }
+
+export class STLWriter {
+  // Binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+  static writeBinary(triangles, name = 'voxel-creation') {
+    const buffer = new ArrayBuffer(84 + triangles.length * 50);
+    const view = new DataView(buffer);
+
+    const header = `Gesture Voxel Editor: ${name}`.slice(0, 80);
+    for (let i = 0; i < header.length; i++) {
+      view.setUint8(i, header.charCodeAt(i) & 0x7f);
+    }
+    view.setUint32(80, triangles.length, true);
+
+    let offset = 84;
+    for (const triangle of triangles) {
+      for (const value of triangle.normal) {
+        view.setFloat32(offset, value, true);
+        offset += 4;
+      }
+      for (const vertex of triangle.vertices) {
+        for (const value of vertex) {
+          view.setFloat32(offset, value, true);
+          offset += 4;
+        }
+      }
+      view.setUint16(offset, 0, true); // Attribute byte count
+      offset += 2;
+    }
+
+    return buffer;
+  }
+
+  // ASCII STL
+  static writeASCII(triangles, name = 'voxel-creation') {
+    const solidName = name.replace(/\s+/g, '_');
+    const format = (values) => values.map((value) => value.toExponential(6)).join(' ');
+    const lines = [`solid ${solidName}`];
+
+    for (const triangle of triangles) {
+      lines.push(`  facet normal ${format(triangle.normal)}`);
+      lines.push('    outer loop');
+      for (const vertex of triangle.vertices) {
+        lines.push(`      vertex ${format(vertex)}`);
+      }
+      lines.push('    endloop');
+      lines.push('  endfacet');
+    }
+
+    lines.push(`endsolid ${solidName}`);
+    return lines.join('\n');
+  }
+}
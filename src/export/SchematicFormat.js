@@ -0,0 +1,168 @@
+import { NBT, TAG } from './NBT.js';
+
+// Sponge schematic (.schem) reader/writer, versions 2 and 3 (version 1 is read too)
+// Spec: https://github.com/SpongePowered/Schematic-Specification
+//
+// Files are gzipped NBT. Blocks are palette indices stored as varints in x, z, y order
+// (index = x + z * width + y * width * length). Minecraft is Y-up with +z pointing south,
+// the same handedness as the editor, so coordinates carry over unchanged.
+
+export const SCHEMATIC_DATA_VERSION = 3700; // Minecraft Java 1.20.4
+export const SCHEMATIC_VERSIONS = [2, 3];
+export const AIR_BLOCK = 'minecraft:air';
+
+export class SchematicFormat {
+  // Build gzipped .schem bytes from { size, blocks, palette }: blocks holds an index into
+  // palette (block state strings, air first) per cell in x, z, y order
+  static async write({ size, blocks, palette }, { version = 3, name = '' } = {}) {
+    if (!SCHEMATIC_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported schematic version ${version}`);
+    }
+
+    const paletteTag = Object.create(null);
+    palette.forEach((blockState, index) => {
+      paletteTag[blockState] = NBT.int(index);
+    });
+
+    const common = {
+      Version: NBT.int(version),
+      DataVersion: NBT.int(SCHEMATIC_DATA_VERSION),
+      Metadata: { Name: name, Date: NBT.long(Date.now()) },
+      Width: NBT.short(size.x),
+      Height: NBT.short(size.y),
+      Length: NBT.short(size.z),
+      Offset: NBT.intArray([0, 0, 0]),
+    };
+    const data = NBT.byteArray(SchematicFormat.encodeVarints(blocks));
+    const blockEntities = NBT.list(TAG.COMPOUND, []);
+
+    // Version 3 nests the schematic in an unnamed root and moves blocks into a container
+    if (version === 3) {
+      return SchematicFormat.gzip(
+        NBT.write('', {
+          Schematic: { ...common, Blocks: { Palette: paletteTag, Data: data, BlockEntities: blockEntities } },
+        })
+      );
+    }
+
+    const bytes = NBT.write('Schematic', {
+      ...common,
+      PaletteMax: NBT.int(palette.length),
+      Palette: paletteTag,
+      BlockData: data,
+      BlockEntities: blockEntities,
+    });
+    return SchematicFormat.gzip(bytes);
+  }
+
+  // Parse .schem bytes (gzipped or not) into { version, size, blocks, palette }
+  // with the same layout write() takes
+  static async read(buffer) {
+    let bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+      bytes = await SchematicFormat.gunzip(bytes);
+    }
+
+    let root;
+    try {
+      root = NBT.read(bytes).value;
+    } catch (error) {
+      throw new Error(`Not a schematic file (${error.message})`);
+    }
+
+    const schematic = root.Schematic ?? root;
+    const version = schematic.Version;
+    if (!Number.isInteger(version)) {
+      if (schematic.Blocks instanceof Int8Array) {
+        throw new Error('Legacy MCEdit .schematic files are not supported; save as .schem (Sponge) instead');
+      }
+      throw new Error('Not a Sponge schematic (missing Version)');
+    }
+    if (version < 1 || version > 3) {
+      throw new Error(`Unsupported schematic version ${version}`);
+    }
+
+    // Sizes are unsigned shorts stored in signed tags
+    const size = {
+      x: schematic.Width & 0xffff,
+      y: schematic.Height & 0xffff,
+      z: schematic.Length & 0xffff,
+    };
+    if (!(size.x > 0 && size.y > 0 && size.z > 0)) {
+      throw new Error('Schematic has no size');
+    }
+
+    const container = version === 3 ? schematic.Blocks : schematic;
+    const paletteTag = container?.Palette;
+    const data = version === 3 ? container?.Data : container?.BlockData;
+    if (!paletteTag || !(data instanceof Int8Array)) {
+      throw new Error('Schematic has no block data');
+    }
+
+    const palette = [];
+    for (const [blockState, index] of Object.entries(paletteTag)) {
+      if (!Number.isInteger(index) || index < 0) {
+        throw new Error(`Schematic palette entry "${blockState}" has an invalid index`);
+      }
+      palette[index] = blockState;
+    }
+
+    const blocks = SchematicFormat.decodeVarints(data, size.x * size.y * size.z);
+    for (const index of blocks) {
+      if (palette[index] === undefined) {
+        throw new Error(`Schematic uses block ${index}, which is missing from its palette`);
+      }
+    }
+
+    return { version, size, blocks, palette };
+  }
+
+  // Unsigned LEB128 varints, 7 bits per byte with the high bit set on all but the last
+  static encodeVarints(values) {
+    const bytes = [];
+    for (let value of values) {
+      while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+      }
+      bytes.push(value);
+    }
+    return Int8Array.from(bytes, (byte) => (byte << 24) >> 24);
+  }
+
+  static decodeVarints(data, count) {
+    // Every value takes at least a byte; checked first so bogus sizes fail before allocating
+    if (count > data.length) throw new Error('Schematic block data is truncated');
+
+    const values = new Uint32Array(count);
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      let value = 0;
+      let shift = 0;
+      let byte;
+      do {
+        if (offset >= data.length) throw new Error('Schematic block data is truncated');
+        if (shift > 28) throw new Error('Schematic block data has an oversized varint');
+        byte = data[offset++] & 0xff;
+        value |= (byte & 0x7f) << shift;
+        shift += 7;
+      } while (byte & 0x80);
+      values[i] = value >>> 0;
+    }
+    return values;
+  }
+
+  static async gzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  static async gunzip(bytes) {
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+      throw new Error('Schematic file is corrupt (gzip data could not be read)');
+    }
+  }
+}
@@ -0,0 +1,198 @@
+// MagicaVoxel .vox reader/writer
+// Spec: https://github.com/ephtracy/voxel-model/blob/master/MagicaVoxel-file-format-vox.txt
+//
+// Files hold voxels as (x, y, z, paletteIndex) in a Z-up space with palette indices
+// 1-255. Conversion to the editor's Y-up VoxelWorld lives in toEditor()/fromEditor().
+
+const VOX_VERSION = 150;
+const MAX_MODEL_SIZE = 256;
+
+// MagicaVoxel's built-in palette, used when a file has no RGBA chunk.
+// Entries 1-215 are the 6-level color cube (black excluded), followed by
+// red, green, blue and gray ramps.
+function buildDefaultPalette() {
+  const palette = [0x000000];
+  const levels = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+
+  for (const r of levels) {
+    for (const g of levels) {
+      for (const b of levels) {
+        if (r === 0 && g === 0 && b === 0) continue;
+        palette.push((r << 16) | (g << 8) | b);
+      }
+    }
+  }
+
+  const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+  for (const v of ramp) palette.push(v << 16);
+  for (const v of ramp) palette.push(v << 8);
+  for (const v of ramp) palette.push(v);
+  for (const v of ramp) palette.push((v << 16) | (v << 8) | v);
+
+  return palette;
+}
+
+export const DEFAULT_VOX_PALETTE = buildDefaultPalette();
+
+export class VoxFormat {
+  // Parse a .vox file into { size, voxels: [{ x, y, z, colorIndex }], palette, modelCount }
+  // Coordinates are MagicaVoxel's; palette[i] is the 0xRRGGBB color for index i (1-255).
+  // Only the first model is returned; scene graph chunks (nTRN, nGRP, ...) are skipped.
+  static read(buffer) {
+    const view = new DataView(buffer);
+    const readId = (offset) =>
+      String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3)
+      );
+
+    if (buffer.byteLength < 20 || readId(0) !== 'VOX ') {
+      throw new Error('Not a MagicaVoxel .vox file');
+    }
+    if (readId(8) !== 'MAIN') {
+      throw new Error('Missing MAIN chunk');
+    }
+
+    let size = null;
+    let voxels = null;
+    let palette = null;
+    let modelCount = 0;
+
+    // Children of MAIN start after its 12-byte header and (empty) content
+    let offset = 20 + view.getInt32(12, true);
+    const end = buffer.byteLength;
+
+    while (offset + 12 <= end) {
+      const id = readId(offset);
+      const contentSize = view.getInt32(offset + 4, true);
+      const childrenSize = view.getInt32(offset + 8, true);
+      const content = offset + 12;
+
+      if (content + contentSize > end) {
+        throw new Error(`Truncated ${id} chunk`);
+      }
+
+      if (id === 'SIZE') {
+        modelCount++;
+        if (modelCount === 1) {
+          size = {
+            x: view.getInt32(content, true),
+            y: view.getInt32(content + 4, true),
+            z: view.getInt32(content + 8, true),
+          };
+        }
+      } else if (id === 'XYZI' && modelCount === 1 && !voxels) {
+        const count = view.getInt32(content, true);
+        if (4 + count * 4 > contentSize) {
+          throw new Error('Truncated XYZI chunk');
+        }
+
+        voxels = [];
+        for (let i = 0; i < count; i++) {
+          const p = content + 4 + i * 4;
+          voxels.push({
+            x: view.getUint8(p),
+            y: view.getUint8(p + 1),
+            z: view.getUint8(p + 2),
+            colorIndex: view.getUint8(p + 3),
+          });
+        }
+      } else if (id === 'RGBA') {
+        // Entry i holds the color of palette index i + 1
+        palette = [0x000000];
+        for (let i = 0; i < 255; i++) {
+          const p = content + i * 4;
+          palette.push((view.getUint8(p) << 16) | (view.getUint8(p + 1) << 8) | view.getUint8(p + 2));
+        }
+      }
+
+      offset = content + contentSize + childrenSize;
+    }
+
+    if (!size || !voxels) {
+      throw new Error('File contains no model');
+    }
+
+    return {
+      size,
+      voxels: voxels.filter((voxel) => voxel.colorIndex > 0),
+      palette: palette || DEFAULT_VOX_PALETTE,
+      modelCount,
+    };
+  }
+
+  // Write a single-model .vox file from MagicaVoxel-space voxels and a palette
+  // (palette[i] is the color for index i, index 0 unused)
+  static write({ size, voxels, palette }) {
+    if (size.x > MAX_MODEL_SIZE || size.y > MAX_MODEL_SIZE || size.z > MAX_MODEL_SIZE) {
+      throw new Error(`Models are limited to ${MAX_MODEL_SIZE} voxels per axis`);
+    }
+
+    const sizeChunk = 12 + 12;
+    const xyziChunk = 12 + 4 + voxels.length * 4;
+    const rgbaChunk = 12 + 256 * 4;
+    const childrenSize = sizeChunk + xyziChunk + rgbaChunk;
+
+    const buffer = new ArrayBuffer(8 + 12 + childrenSize);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const writeId = (id) => {
+      for (let i = 0; i < 4; i++) view.setUint8(offset + i, id.charCodeAt(i));
+      offset += 4;
+    };
+    const writeInt = (value) => {
+      view.setInt32(offset, value, true);
+      offset += 4;
+    };
+    const writeChunkHeader = (id, contentSize, children = 0) => {
+      writeId(id);
+      writeInt(contentSize);
+      writeInt(children);
+    };
+
+    writeId('VOX ');
+    writeInt(VOX_VERSION);
+    writeChunkHeader('MAIN', 0, childrenSize);
+
+    writeChunkHeader('SIZE', 12);
+    writeInt(size.x);
+    writeInt(size.y);
+    writeInt(size.z);
+
+    writeChunkHeader('XYZI', 4 + voxels.length * 4);
+    writeInt(voxels.length);
+    for (const voxel of voxels) {
+      view.setUint8(offset, voxel.x);
+      view.setUint8(offset + 1, voxel.y);
+      view.setUint8(offset + 2, voxel.z);
+      view.setUint8(offset + 3, voxel.colorIndex);
+      offset += 4;
+    }
+
+    writeChunkHeader('RGBA', 256 * 4);
+    for (let i = 1; i <= 256; i++) {
+      const color = palette[i] ?? 0x000000;
+      view.setUint8(offset, (color >> 16) & 255);
+      view.setUint8(offset + 1, (color >> 8) & 255);
+      view.setUint8(offset + 2, color & 255);
+      view.setUint8(offset + 3, i <= 255 ? 255 : 0);
+      offset += 4;
+    }
+
+    return buffer;
+  }
+
+  // MagicaVoxel (x, y, z) with Z up and Y pointing away from the viewer maps to
+  // editor (x, z, depth - 1 - y) with Y up, keeping the model right-handed
+  static toEditor(voxel, size) {
+    return { x: voxel.x, y: voxel.z, z: size.y - 1 - voxel.y };
+  }
+
+  // Inverse of toEditor(); depth is the editor-space Z extent of the model
+  static fromEditor(voxel, depth) {
+    return { x: voxel.x, y: depth - 1 - voxel.z, z: voxel.y };
+  }
+}
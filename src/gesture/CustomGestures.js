@@ -0,0 +1,271 @@
+import {
+  HANDS,
+  HAND_LANDMARKS,
+  GESTURE_ACTIONS,
+  CUSTOM_GESTURE_RECORD_DELAY,
+  CUSTOM_GESTURE_RECORD_TIME,
+  CUSTOM_GESTURE_MIN_SAMPLES,
+  CUSTOM_GESTURE_MAX_SAMPLES,
+  CUSTOM_GESTURE_NEIGHBORS,
+  CUSTOM_GESTURE_RADIUS_SCALE,
+  CUSTOM_GESTURE_MIN_RADIUS,
+} from '../utils/constants.js';
+import { Settings } from '../utils/Settings.js';
+
+// Landmark chains from the wrist to each fingertip, thumb first
+const FINGER_CHAINS = [
+  [0, 1, 2, 3, 4],
+  [0, 5, 6, 7, 8],
+  [0, 9, 10, 11, 12],
+  [0, 13, 14, 15, 16],
+  [0, 17, 18, 19, 20],
+];
+const FINGERTIPS = FINGER_CHAINS.map((chain) => chain[chain.length - 1]);
+
+// Three joint bends per finger, then x/y/z per fingertip
+const FEATURE_COUNT = FINGER_CHAINS.length * 3 + FINGERTIPS.length * 3;
+
+// Fingertip offsets weigh less than joint bends; they vary more between frames
+const TIP_WEIGHT = 0.5;
+
+// Poses the user records and names. Each frame of a recording becomes a feature vector
+// (joint bends plus wrist-relative fingertips scaled by hand size), and live frames are
+// classified by their k nearest recorded vectors. Gestures are kept in the browser's
+// settings as { id, name, action, samples }.
+export class CustomGestures {
+  constructor() {
+    this.gestures = CustomGestures.load();
+    this.recording = null; // { name, action, startTime, samples } while recording
+    this.listeners = new Set();
+  }
+
+  getGestures() {
+    return this.gestures.map(({ id, name, action, samples }) => ({ id, name, action, sampleCount: samples.length }));
+  }
+
+  get(id) {
+    return this.gestures.find((gesture) => gesture.id === id) ?? null;
+  }
+
+  setAction(id, action) {
+    const gesture = this.get(id);
+    if (!gesture || !Object.hasOwn(GESTURE_ACTIONS, action)) return;
+    gesture.action = action;
+    this.save();
+  }
+
+  remove(id) {
+    this.gestures = this.gestures.filter((gesture) => gesture.id !== id);
+    this.save();
+  }
+
+  // Id of the custom gesture a hand's landmarks show, or null: the majority of the k
+  // nearest samples must agree, and the nearest of them lie within that gesture's radius
+  classify(landmarks, side) {
+    if (this.gestures.length === 0 || this.recording) return null;
+
+    const features = CustomGestures.getFeatures(landmarks, side);
+    const nearest = []; // Up to k { distance, gesture }, closest first
+    for (const gesture of this.gestures) {
+      for (const sample of gesture.samples) {
+        const distance = CustomGestures.distance(features, sample);
+        if (nearest.length === CUSTOM_GESTURE_NEIGHBORS && distance >= nearest[nearest.length - 1].distance) continue;
+
+        let i = nearest.length;
+        while (i > 0 && nearest[i - 1].distance > distance) i--;
+        nearest.splice(i, 0, { distance, gesture });
+        if (nearest.length > CUSTOM_GESTURE_NEIGHBORS) nearest.pop();
+      }
+    }
+
+    const votes = new Map();
+    for (const { gesture } of nearest) votes.set(gesture, (votes.get(gesture) ?? 0) + 1);
+    const [winner, count] = [...votes].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    if (count * 2 <= nearest.length) return null;
+
+    const closest = nearest.find((neighbor) => neighbor.gesture === winner);
+    return closest.distance <= winner.radius ? winner.id : null;
+  }
+
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  // Record a pose under a name (replacing any gesture of that name) over the next few
+  // seconds of frames
+  startRecording(name, action, now = performance.now()) {
+    const trimmed = name.trim();
+    if (!trimmed) throw new Error('Give the gesture a name first');
+    if (!Object.hasOwn(GESTURE_ACTIONS, action)) throw new Error(`Unknown action "${action}"`);
+
+    this.recording = { name: trimmed, action, startTime: now, samples: [] };
+    this.notifyListeners();
+  }
+
+  cancelRecording() {
+    if (!this.recording) return;
+    this.recording = null;
+    this.notifyListeners();
+  }
+
+  // Feed the recording hand's landmarks and side once per frame (null landmarks when no
+  // hand is visible)
+  addFrame(landmarks, side, now = performance.now()) {
+    const recording = this.recording;
+    if (!recording) return;
+
+    const elapsed = now - recording.startTime;
+    if (elapsed >= CUSTOM_GESTURE_RECORD_DELAY && landmarks) {
+      recording.samples.push(CustomGestures.getFeatures(landmarks, side));
+    }
+    if (elapsed < CUSTOM_GESTURE_RECORD_DELAY + CUSTOM_GESTURE_RECORD_TIME) return;
+
+    this.recording = null;
+    if (recording.samples.length < CUSTOM_GESTURE_MIN_SAMPLES) {
+      this.notifyListeners({ error: `Recording "${recording.name}" failed: your hand was not seen long enough` });
+      return;
+    }
+
+    // Keep an even spread of the frames
+    const step = Math.max(1, recording.samples.length / CUSTOM_GESTURE_MAX_SAMPLES);
+    const samples = [];
+    for (let i = 0; i < recording.samples.length && samples.length < CUSTOM_GESTURE_MAX_SAMPLES; i += step) {
+      samples.push(recording.samples[Math.floor(i)].map((value) => Math.round(value * 1000) / 1000));
+    }
+
+    const existing = this.gestures.find((gesture) => gesture.name.toLowerCase() === recording.name.toLowerCase());
+    const gesture = CustomGestures.prepare({
+      id: existing?.id ?? `custom-${Date.now().toString(36)}`,
+      name: recording.name,
+      action: recording.action,
+      samples,
+    });
+    this.gestures = existing
+      ? this.gestures.map((other) => (other === existing ? gesture : other))
+      : [...this.gestures, gesture];
+    this.save({ recorded: gesture.name });
+  }
+
+  // What the user should do right now while recording, or null
+  getRecordingPrompt(now = performance.now()) {
+    if (!this.recording) return null;
+    const elapsed = now - this.recording.startTime;
+
+    if (elapsed < CUSTOM_GESTURE_RECORD_DELAY) {
+      return `Show "${this.recording.name}"... ${Math.ceil((CUSTOM_GESTURE_RECORD_DELAY - elapsed) / 1000)}`;
+    }
+    const left = Math.max(0, CUSTOM_GESTURE_RECORD_DELAY + CUSTOM_GESTURE_RECORD_TIME - elapsed);
+    return `Recording "${this.recording.name}" - hold it, move it around a little (${Math.ceil(left / 1000)}s)`;
+  }
+
+  save(event = {}) {
+    Settings.set(
+      'customGestures',
+      this.gestures.map(({ id, name, action, samples }) => ({ id, name, action, samples }))
+    );
+    this.notifyListeners(event);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(event = {}) {
+    for (const listener of this.listeners) {
+      listener(this, event);
+    }
+  }
+
+  // Feature vector of a hand pose: the bend at each finger joint (0 straight, 1 folded
+  // back) and the fingertips relative to the wrist in units of hand size. Left hands are
+  // mirrored so a pose recorded with one hand is recognized on the other.
+  static getFeatures(landmarks, side) {
+    const features = [];
+
+    for (const chain of FINGER_CHAINS) {
+      for (let i = 1; i < chain.length - 1; i++) {
+        const a = landmarks[chain[i - 1]];
+        const b = landmarks[chain[i]];
+        const c = landmarks[chain[i + 1]];
+        features.push(CustomGestures.bend(a, b, c));
+      }
+    }
+
+    const wrist = landmarks[HAND_LANDMARKS.WRIST];
+    const middle = landmarks[HAND_LANDMARKS.MIDDLE_MCP];
+    const size = Math.hypot(middle.x - wrist.x, middle.y - wrist.y, (middle.z ?? 0) - (wrist.z ?? 0)) || 1;
+    const mirror = side === HANDS.LEFT ? -1 : 1;
+    for (const index of FINGERTIPS) {
+      const tip = landmarks[index];
+      features.push(
+        ((tip.x - wrist.x) / size) * mirror * TIP_WEIGHT,
+        ((tip.y - wrist.y) / size) * TIP_WEIGHT,
+        (((tip.z ?? 0) - (wrist.z ?? 0)) / size) * TIP_WEIGHT
+      );
+    }
+
+    return features;
+  }
+
+  // Angle between the bones a-b and b-c, as a fraction of a half turn
+  static bend(a, b, c) {
+    const u = [b.x - a.x, b.y - a.y, (b.z ?? 0) - (a.z ?? 0)];
+    const v = [c.x - b.x, c.y - b.y, (c.z ?? 0) - (b.z ?? 0)];
+    const length = Math.hypot(...u) * Math.hypot(...v);
+    if (length === 0) return 0;
+    const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / length;
+    return Math.acos(Math.min(1, Math.max(-1, cos))) / Math.PI;
+  }
+
+  static distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      const d = a[i] - b[i];
+      sum += d * d;
+    }
+    return Math.sqrt(sum);
+  }
+
+  // Add the match radius: a few times the typical gap between a sample and its
+  // nearest neighbour, so tight recordings match tightly
+  static prepare(gesture) {
+    const gaps = gesture.samples.map((sample, i) => {
+      let nearest = Infinity;
+      gesture.samples.forEach((other, j) => {
+        if (i !== j) nearest = Math.min(nearest, CustomGestures.distance(sample, other));
+      });
+      return nearest;
+    });
+    gaps.sort((a, b) => a - b);
+    const typical = gaps[Math.floor(gaps.length * 0.9)] ?? 0;
+
+    return { ...gesture, radius: Math.max(CUSTOM_GESTURE_MIN_RADIUS, typical * CUSTOM_GESTURE_RADIUS_SCALE) };
+  }
+
+  // Saved gestures, skipping any that are malformed
+  static load() {
+    const saved = Settings.get('customGestures', []);
+    if (!Array.isArray(saved)) return [];
+
+    return saved
+      .filter(
+        (gesture) =>
+          typeof gesture?.id === 'string' &&
+          typeof gesture.name === 'string' &&
+          Array.isArray(gesture.samples) &&
+          gesture.samples.length > 0 &&
+          gesture.samples.every(
+            (sample) => Array.isArray(sample) && sample.length === FEATURE_COUNT && sample.every(Number.isFinite)
+          )
+      )
+      .map((gesture) =>
+        CustomGestures.prepare({
+          id: gesture.id,
+          name: gesture.name,
+          action: Object.hasOwn(GESTURE_ACTIONS, gesture.action) ? gesture.action : 'none',
+          samples: gesture.samples,
+        })
+      );
+  }
+}
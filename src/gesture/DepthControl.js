@@ -0,0 +1,174 @@
+import {
+  DEFAULT_DEPTH_RANGE,
+  DEPTH_SMOOTHING,
+  DEPTH_CALIBRATION_DELAY,
+  DEPTH_CALIBRATION_TIME,
+  DEPTH_MIN_RANGE,
+  DEPTH_Z_WEIGHT,
+  DEPTH_Z_MIN_RANGE,
+} from '../utils/constants.js';
+import { Settings } from '../utils/Settings.js';
+
+// Calibration steps, in order, with what the user is asked to do
+const CALIBRATION_STEPS = [
+  { name: 'near', prompt: 'Hold your hand close to the camera' },
+  { name: 'far', prompt: 'Pull your hand back as far as is comfortable' },
+];
+
+// Turns how close the tracked hand is into a cursor depth: 0 at the front of the grid,
+// 1 at the back. Two signals are blended, the hand's apparent size and its knuckles'
+// landmark z relative to the wrist; both are calibrated per user at the near and far
+// positions and kept in the browser's settings.
+export class DepthControl {
+  constructor() {
+    this.enabled = false;
+    this.range = DepthControl.loadRange();
+    this.sample = null; // Smoothed { size, z }; null while no hand is tracked
+    this.calibration = null; // { step, startTime, samples } while calibrating
+    this.listeners = new Set();
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    this.notifyListeners();
+  }
+
+  toggle() {
+    this.setEnabled(!this.enabled);
+  }
+
+  // Feed the tracked hand's size and knuckle z once per frame (a null size when no hand
+  // is visible)
+  update(handSize, knuckleZ = 0, now = performance.now()) {
+    const sample = handSize === null ? null : { size: handSize, z: knuckleZ };
+    if (!sample || !this.sample) {
+      this.sample = sample;
+    } else {
+      this.sample.size += (sample.size - this.sample.size) * DEPTH_SMOOTHING;
+      this.sample.z += (sample.z - this.sample.z) * DEPTH_SMOOTHING;
+    }
+
+    if (this.calibration) this.updateCalibration(sample, now);
+  }
+
+  // Cursor depth for the current hand, or null while no hand is tracked. Knuckle z only
+  // counts when calibration found it changing between near and far.
+  getDepth() {
+    if (!this.sample) return null;
+    const { near, far } = this.range;
+    const sizeDepth = DepthControl.normalize(this.sample.size, near.size, far.size);
+    if (Math.abs(near.z - far.z) < DEPTH_Z_MIN_RANGE) return sizeDepth;
+
+    const zDepth = DepthControl.normalize(this.sample.z, near.z, far.z);
+    return sizeDepth + (zDepth - sizeDepth) * DEPTH_Z_WEIGHT;
+  }
+
+  isCalibrating() {
+    return this.calibration !== null;
+  }
+
+  // Measure the near and far hand size and knuckle z over the next few seconds of frames
+  startCalibration(now = performance.now()) {
+    this.calibration = { step: 0, startTime: now, samples: [] };
+    this.notifyListeners();
+  }
+
+  cancelCalibration() {
+    if (!this.calibration) return;
+    this.calibration = null;
+    this.notifyListeners();
+  }
+
+  updateCalibration(sample, now) {
+    const calibration = this.calibration;
+    const elapsed = now - calibration.startTime;
+
+    // Sampling only starts after the delay and pauses while the hand is out of view
+    if (elapsed >= DEPTH_CALIBRATION_DELAY && sample) {
+      calibration.samples.push(sample);
+    }
+    if (elapsed < DEPTH_CALIBRATION_DELAY + DEPTH_CALIBRATION_TIME || calibration.samples.length === 0) {
+      return;
+    }
+
+    // The median of each signal ignores the odd frame where tracking jumps
+    calibration[CALIBRATION_STEPS[calibration.step].name] = {
+      size: DepthControl.median(calibration.samples.map((sample) => sample.size)),
+      z: DepthControl.median(calibration.samples.map((sample) => sample.z)),
+    };
+
+    if (calibration.step + 1 < CALIBRATION_STEPS.length) {
+      calibration.step++;
+      calibration.startTime = now;
+      calibration.samples = [];
+      this.notifyListeners();
+      return;
+    }
+
+    this.calibration = null;
+    const { near, far } = calibration;
+    if (near.size < far.size * DEPTH_MIN_RANGE) {
+      this.notifyListeners({ error: 'Depth calibration failed: move your hand further between the two steps' });
+      return;
+    }
+
+    this.range = { near, far };
+    Settings.set('depthRange', this.range);
+    this.notifyListeners();
+  }
+
+  // What the user should do right now while calibrating, or null
+  getCalibrationPrompt(now = performance.now()) {
+    if (!this.calibration) return null;
+    const { step, startTime } = this.calibration;
+    const waiting = DEPTH_CALIBRATION_DELAY - (now - startTime);
+
+    const prompt = CALIBRATION_STEPS[step].prompt;
+    return waiting > 0 ? `${prompt}... ${Math.ceil(waiting / 1000)}` : `${prompt} - hold still`;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(event = {}) {
+    for (const listener of this.listeners) {
+      listener(this, event);
+    }
+  }
+
+  // Where value lies from far (0) to near (1), clamped
+  static normalize(value, near, far) {
+    return Math.min(1, Math.max(0, (value - far) / (near - far)));
+  }
+
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  // Saved calibration, or the defaults if there is none (or it is unusable)
+  static loadRange() {
+    const range = Settings.get('depthRange', null);
+    const isEnd = (end) => end && Number.isFinite(end.size) && Number.isFinite(end.z);
+    const valid =
+      range &&
+      isEnd(range.near) &&
+      isEnd(range.far) &&
+      range.far.size > 0 &&
+      range.near.size >= range.far.size * DEPTH_MIN_RANGE;
+    if (!valid) {
+      return { near: { ...DEFAULT_DEPTH_RANGE.near }, far: { ...DEFAULT_DEPTH_RANGE.far } };
+    }
+    return {
+      near: { size: range.near.size, z: range.near.z },
+      far: { size: range.far.size, z: range.far.z },
+    };
+  }
+}
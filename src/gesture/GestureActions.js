@@ -1,19 +1,26 @@
 import {
   GESTURES,
   MODES,
-  COLORS,
   ACTION_DEBOUNCE,
   COLOR_CHANGE_DEBOUNCE,
   UNDO_DEBOUNCE,
   ORBIT_SENSITIVITY,
+  VIEW_CHANGE_DEBOUNCE,
+  SLICE_GESTURE_STEP,
+  MODIFIER_GESTURES,
+  TWO_HAND_ROTATE_SENSITIVITY,
+  TWO_HAND_MIN_SPREAD,
+  CLEAR_HOLD_TIME,
 } from '../utils/constants.js';
 
 export class GestureActions {
-  constructor(voxelWorld, voxelRenderer, canvas2dRenderer, historyManager) {
+  constructor(voxelWorld, voxelRenderer, canvas2dRenderer, historyManager, palette, depthControl) {
     this.voxelWorld = voxelWorld;
     this.voxelRenderer = voxelRenderer;
     this.canvas2dRenderer = canvas2dRenderer;
     this.historyManager = historyManager;
+    this.palette = palette;
+    this.depthControl = depthControl;
 
     this.is3DMode = false; // Default to 2D
     this.currentColorIndex = 0;
@@ -21,15 +28,32 @@ export class GestureActions {
     this.lastActionTime = 0;
     this.lastColorChangeTime = 0;
     this.lastUndoTime = 0;
+    this.lastViewChangeTime = 0;
 
     this.lastCursorPosition = null;
     this.isOrbitActive = false;
+    this.isStrokeActive = false;
+    this.strokeName = null;
+    this.sliceTravel = 0; // Palm travel not yet turned into slice layers
+
+    // Two-handed state
+    this.modifier = null; // Mode held by the off hand (MODIFIER_GESTURES)
+    this.pinchSpan = null; // { spread, angle } between two pinches on the last frame
+    this.clearHoldStart = null; // When both fists closed; -1 once the scene was cleared
 
     this.listeners = {
       modeChange: new Set(),
       colorChange: new Set(),
       gestureChange: new Set(),
+      holdProgress: new Set(),
     };
+
+    // Keep the selected color valid when the palette is replaced
+    this.palette.subscribe(() => {
+      if (this.currentColorIndex >= this.palette.size()) {
+        this.setColor(0);
+      }
+    });
   }
 
   // Debounce helper
@@ -38,12 +62,28 @@ export class GestureActions {
     return now - lastTime > debounce;
   }
 
-  // Process hand tracking results
-  processResults(results, gestureData, handMovement) {
+  // Process hand tracking results. gestureData is the dominant hand's gesture and
+  // offHandData the other hand's, if visible: together they can form a two-handed
+  // gesture, otherwise the off hand holds modifiers and picks from menus while the
+  // dominant hand drives the tools.
+  processResults(results, gestureData, handMovement, offHandData = null) {
+    // Shown again below if this frame aims in depth mode
+    this.voxelRenderer.setDepthGuide(null);
+
+    const twoHandGesture = this.handleTwoHands(gestureData, offHandData);
+    if (twoHandGesture) {
+      this.notifyListeners('gestureChange', twoHandGesture);
+      return {
+        mode: this.currentMode,
+        colorIndex: this.currentColorIndex,
+        gesture: twoHandGesture,
+      };
+    }
+
     const { gesture, position } = gestureData;
 
-    // Update gesture display
-    this.notifyListeners('gestureChange', gesture);
+    // Update gesture display (custom gestures show their own name)
+    this.notifyListeners('gestureChange', gestureData.customGesture ?? gesture);
 
     // Handle different gestures
     switch (gesture) {
@@ -52,13 +92,17 @@ export class GestureActions {
         break;
 
       default:
-        // Stop 2D drawing if any other gesture (or no gesture) occurs
-        this.canvas2dRenderer?.stopDrawing();
+        // Stop 2D drawing and close the 3D stroke (one undo step) on any other gesture
+        this.releaseStrokes();
 
         // Continue with other handlers
         switch (gesture) {
           case GESTURES.PINCH:
-            this.handlePinch(position);
+            if (this.modifier === MODES.DELETE) {
+              this.handleFist(position);
+            } else {
+              this.handlePinch(position);
+            }
             break;
 
           case GESTURES.FIST:
@@ -81,6 +125,14 @@ export class GestureActions {
             this.handleSwipeRight();
             break;
 
+          case GESTURES.SWIPE_UP:
+            this.handleSwipeVertical(1);
+            break;
+
+          case GESTURES.SWIPE_DOWN:
+            this.handleSwipeVertical(-1);
+            break;
+
           case GESTURES.NONE:
             this.handleNone();
             break;
@@ -95,6 +147,156 @@ export class GestureActions {
     };
   }
 
+  // Handle the frame as a two-handed gesture if both hands form one; returns that
+  // gesture, or null after applying the off hand's modifier and menu gestures
+  handleTwoHands(first, second) {
+    const firstGesture = first.gesture;
+    const secondGesture = second?.gesture ?? GESTURES.NONE;
+
+    if (firstGesture === GESTURES.FIST && secondGesture === GESTURES.FIST) {
+      this.releaseStrokes();
+      this.pinchSpan = null;
+      this.handleTwoFists();
+      return GESTURES.TWO_FIST;
+    }
+    this.cancelClearHold();
+
+    if (firstGesture === GESTURES.PINCH && secondGesture === GESTURES.PINCH) {
+      this.releaseStrokes();
+      this.handleTwoPinches(first.position, second.position);
+      return GESTURES.TWO_PINCH;
+    }
+    this.pinchSpan = null;
+
+    this.modifier = MODIFIER_GESTURES[secondGesture] ?? null;
+    this.handleOffHand(secondGesture);
+    return null;
+  }
+
+  // Only the off hand is visible: end whatever the dominant hand was doing, but keep
+  // the off hand's modifier and menu gestures
+  processOffHand(offHandData) {
+    this.handleHandsLost();
+    this.isOrbitActive = false;
+
+    this.modifier = MODIFIER_GESTURES[offHandData.gesture] ?? null;
+    this.handleOffHand(offHandData.gesture);
+  }
+
+  // Off-hand menu gestures; unlike the same gestures on the dominant hand they leave
+  // its mode alone, so it can keep pointing
+  handleOffHand(gesture) {
+    switch (gesture) {
+      case GESTURES.PEACE:
+        this.cycleColor();
+        break;
+
+      case GESTURES.SWIPE_LEFT:
+        this.releaseStrokes();
+        this.handleSwipeLeft();
+        break;
+
+      case GESTURES.SWIPE_RIGHT:
+        this.releaseStrokes();
+        this.handleSwipeRight();
+        break;
+
+      case GESTURES.SWIPE_UP:
+        this.handleSwipeVertical(1);
+        break;
+
+      case GESTURES.SWIPE_DOWN:
+        this.handleSwipeVertical(-1);
+        break;
+    }
+  }
+
+  // Two pinches: spreading or closing them zooms, twisting them orbits (3D only)
+  handleTwoPinches(a, b) {
+    this.setMode(MODES.ORBIT);
+    this.isOrbitActive = false;
+    this.voxelRenderer.setCursorPosition(null);
+    if (!this.is3DMode) return;
+
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const spread = Math.hypot(dx, dy);
+    if (spread < TWO_HAND_MIN_SPREAD) {
+      this.pinchSpan = null;
+      return;
+    }
+
+    // Handedness labels can swap between frames, turning the angle by half a turn;
+    // keep it continuous
+    let angle = Math.atan2(dy, dx);
+    const previous = this.pinchSpan;
+    if (previous) {
+      let turn = angle - previous.angle;
+      turn -= Math.round(turn / Math.PI) * Math.PI;
+      angle = previous.angle + turn;
+
+      // Pulling the hands apart brings the camera closer by the same ratio
+      const { distance } = this.voxelRenderer.getCameraState();
+      this.voxelRenderer.zoomCamera(distance * (previous.spread / spread - 1));
+      this.voxelRenderer.orbitCamera(turn * TWO_HAND_ROTATE_SENSITIVITY, 0);
+    }
+
+    this.pinchSpan = { spread, angle };
+  }
+
+  // Two fists held for CLEAR_HOLD_TIME clear the scene (one undo step) or the 2D canvas
+  handleTwoFists() {
+    this.setMode(MODES.DELETE);
+    this.isOrbitActive = false;
+    this.voxelRenderer.setCursorPosition(null);
+
+    // Already cleared: wait for the fists to open before another hold can start
+    if (this.clearHoldStart === -1) return;
+
+    const now = Date.now();
+    if (this.clearHoldStart === null) {
+      this.clearHoldStart = now;
+    }
+
+    const progress = Math.min(1, (now - this.clearHoldStart) / CLEAR_HOLD_TIME);
+    this.notifyListeners('holdProgress', progress);
+    if (progress < 1) return;
+
+    if (this.is3DMode) {
+      if (this.voxelWorld.getCount() > 0) {
+        this.historyManager.step('Clear', () => this.voxelWorld.clear());
+      }
+    } else {
+      this.canvas2dRenderer.clear();
+    }
+    this.clearHoldStart = -1;
+    this.notifyListeners('holdProgress', null);
+  }
+
+  cancelClearHold() {
+    if (this.clearHoldStart === null) return;
+    if (this.clearHoldStart !== -1) {
+      this.notifyListeners('holdProgress', null);
+    }
+    this.clearHoldStart = null;
+  }
+
+  // Hands left the camera: drop anything that needs both of them, and commit the
+  // stroke in progress so the next one starts its own undo step
+  handleHandsLost() {
+    this.releaseStrokes();
+    this.cancelClearHold();
+    this.pinchSpan = null;
+    this.modifier = null;
+    this.voxelRenderer.setDepthGuide(null);
+  }
+
+  // End 2D and 3D strokes before a gesture that doesn't draw
+  releaseStrokes() {
+    this.canvas2dRenderer?.stopDrawing();
+    this.endStroke();
+  }
+
   // Convert hand position to 3D cursor position
   handToGridPosition(position) {
     if (!position) return null;
@@ -104,25 +306,49 @@ export class GestureActions {
     const normalizedX = -(position.x - 0.5) * 2;
     const normalizedY = -(position.y - 0.5) * 2;
 
+    // In depth mode the hand's distance from the camera picks the cell along the ray
+    const depth = this.depthControl.isEnabled() ? this.depthControl.getDepth() : null;
+    if (depth !== null) {
+      const gridPos = this.voxelRenderer.raycastAtDepth(normalizedX, normalizedY, depth);
+      this.voxelRenderer.setDepthGuide(gridPos);
+      return gridPos;
+    }
+
     // Use raycast to find grid position
     const gridPos = this.voxelRenderer.raycastToGrid(normalizedX, normalizedY);
     return gridPos;
   }
 
+  // Empty cell of a raycast hit, unless it is outside the grid, taken (depth mode can aim
+  // at voxels) or hidden by the cross-section
+  getPlacement(gridPos) {
+    if (!gridPos || !this.voxelWorld.isValidPosition(gridPos.x, gridPos.y, gridPos.z)) return null;
+    if (this.voxelRenderer.isSliced(gridPos.x, gridPos.y, gridPos.z)) return null;
+    if (this.voxelWorld.hasVoxel(gridPos.x, gridPos.y, gridPos.z)) return null;
+    return gridPos;
+  }
+
   // Handle pointing gesture - move cursor and draw
   handlePoint(position) {
+    const isErasing = this.modifier === MODES.DELETE;
+
     if (!this.is3DMode) {
-      // 2D Drawing Mode
-      const hexColor = '#' + COLORS[this.currentColorIndex].toString(16).padStart(6, '0');
+      // 2D Drawing Mode (a null color erases)
+      const hexColor = isErasing ? null : this.palette.getCSSColor(this.currentColorIndex);
       this.canvas2dRenderer.draw(position.x, position.y, hexColor);
       return;
     }
 
     // 3D Mode
+    if (isErasing) {
+      this.handleErase(position);
+      return;
+    }
+
     this.setMode(MODES.PLACE);
     this.isOrbitActive = false;
 
-    const gridPos = this.handToGridPosition(position);
+    const gridPos = this.getPlacement(this.handToGridPosition(position));
 
     if (gridPos) {
       this.lastCursorPosition = gridPos;
@@ -135,10 +361,8 @@ export class GestureActions {
 
       // Draw/Write if enough time has passed (faster than click debounce for smooth drawing)
       if (this.canPerformAction(this.lastActionTime, 50)) {
-        // Save state for undo (only if we're mostly adding new stuff to avoid spamming history on same voxel)
-        // Ideally we'd batch these, but for now simple save per voxel.
-        this.historyManager.saveState(this.voxelWorld.getState());
-
+        // Everything drawn until the hand stops pointing is one undo step
+        this.beginStroke('Draw');
         this.voxelWorld.addVoxel(gridPos.x, gridPos.y, gridPos.z, this.currentColorIndex);
         this.lastActionTime = Date.now();
       }
@@ -147,19 +371,38 @@ export class GestureActions {
     }
   }
 
+  // Pointing while the off hand holds delete - erase the voxels pointed at
+  handleErase(position) {
+    this.setMode(MODES.DELETE);
+    this.isOrbitActive = false;
+
+    const gridPos = this.handToGridPosition(position);
+    const hit = gridPos?.hitVoxel;
+    if (!hit) {
+      this.voxelRenderer.setCursorPosition(null);
+      return;
+    }
+
+    this.voxelRenderer.setCursorPosition(hit.x, hit.y, hit.z, this.currentColorIndex);
+    if (this.canPerformAction(this.lastActionTime, 50)) {
+      this.beginStroke('Erase');
+      this.voxelWorld.removeVoxel(hit.x, hit.y, hit.z);
+      this.lastActionTime = Date.now();
+    }
+  }
+
   // Handle pinch gesture - place voxel
   handlePinch(position) {
     this.setMode(MODES.PLACE);
     this.isOrbitActive = false;
 
-    const gridPos = this.handToGridPosition(position);
+    const gridPos = this.getPlacement(this.handToGridPosition(position));
 
     if (gridPos && this.canPerformAction(this.lastActionTime, ACTION_DEBOUNCE)) {
-      // Save state for undo
-      this.historyManager.saveState(this.voxelWorld.getState());
-
       // Place voxel
-      this.voxelWorld.addVoxel(gridPos.x, gridPos.y, gridPos.z, this.currentColorIndex);
+      this.historyManager.step('Place', () => {
+        this.voxelWorld.addVoxel(gridPos.x, gridPos.y, gridPos.z, this.currentColorIndex);
+      });
       this.lastActionTime = Date.now();
 
       // Update cursor
@@ -181,15 +424,14 @@ export class GestureActions {
     const gridPos = this.handToGridPosition(position);
 
     if (gridPos && gridPos.hitVoxel && this.canPerformAction(this.lastActionTime, ACTION_DEBOUNCE)) {
-      // Save state for undo
-      this.historyManager.saveState(this.voxelWorld.getState());
-
       // Delete voxel
-      this.voxelWorld.removeVoxel(
-        gridPos.hitVoxel.x,
-        gridPos.hitVoxel.y,
-        gridPos.hitVoxel.z
-      );
+      this.historyManager.step('Delete', () => {
+        this.voxelWorld.removeVoxel(
+          gridPos.hitVoxel.x,
+          gridPos.hitVoxel.y,
+          gridPos.hitVoxel.z
+        );
+      });
       this.lastActionTime = Date.now();
     }
 
@@ -204,17 +446,33 @@ export class GestureActions {
     }
   }
 
-  // Handle palm gesture - orbit camera
+  // Handle palm gesture - orbit camera (while slicing, vertical movement moves the slice)
   handlePalm(handMovement) {
     this.setMode(MODES.ORBIT);
     this.voxelRenderer.setCursorPosition(null);
 
+    if (!this.isOrbitActive) {
+      this.sliceTravel = 0;
+    }
+
     if (handMovement && this.isOrbitActive) {
+      const isSlicing = this.voxelRenderer.getSlice() !== null;
+
       // Apply camera rotation based on hand movement
       this.voxelRenderer.orbitCamera(
         -handMovement.dx * ORBIT_SENSITIVITY,
-        handMovement.dy * ORBIT_SENSITIVITY
+        isSlicing ? 0 : handMovement.dy * ORBIT_SENSITIVITY
       );
+
+      if (isSlicing) {
+        // Image y grows downwards, so raising the hand raises the slice
+        this.sliceTravel -= handMovement.dy;
+        const layers = Math.trunc(this.sliceTravel / SLICE_GESTURE_STEP);
+        if (layers !== 0) {
+          this.voxelRenderer.moveSlice(layers);
+          this.sliceTravel -= layers * SLICE_GESTURE_STEP;
+        }
+      }
     }
 
     this.isOrbitActive = true;
@@ -223,9 +481,13 @@ export class GestureActions {
   // Handle peace sign - cycle color
   handlePeace() {
     this.setMode(MODES.COLOR);
+    this.cycleColor();
+  }
 
+  // Select the next palette color (debounced)
+  cycleColor() {
     if (this.canPerformAction(this.lastColorChangeTime, COLOR_CHANGE_DEBOUNCE)) {
-      this.currentColorIndex = (this.currentColorIndex + 1) % COLORS.length;
+      this.currentColorIndex = (this.currentColorIndex + 1) % this.palette.size();
       this.lastColorChangeTime = Date.now();
       this.notifyListeners('colorChange', this.currentColorIndex);
 
@@ -244,10 +506,7 @@ export class GestureActions {
   // Handle swipe left - undo
   handleSwipeLeft() {
     if (this.canPerformAction(this.lastUndoTime, UNDO_DEBOUNCE)) {
-      const previousState = this.historyManager.undo();
-      if (previousState) {
-        this.voxelWorld.setState(previousState);
-      }
+      this.historyManager.undo();
       this.lastUndoTime = Date.now();
     }
   }
@@ -255,14 +514,41 @@ export class GestureActions {
   // Handle swipe right - redo
   handleSwipeRight() {
     if (this.canPerformAction(this.lastUndoTime, UNDO_DEBOUNCE)) {
-      const nextState = this.historyManager.redo();
-      if (nextState) {
-        this.voxelWorld.setState(nextState);
-      }
+      this.historyManager.redo();
       this.lastUndoTime = Date.now();
     }
   }
 
+  // Handle vertical swipes - step through the preset camera views (3D only)
+  handleSwipeVertical(step) {
+    if (!this.is3DMode) return;
+
+    if (this.canPerformAction(this.lastViewChangeTime, VIEW_CHANGE_DEBOUNCE)) {
+      this.voxelRenderer.cycleCameraView(step);
+      this.lastViewChangeTime = Date.now();
+    }
+  }
+
+  // Start (or continue) a POINT stroke; switching between drawing and erasing starts a new one.
+  // Loading a project or a two-fist clear can close the step under us, so check it is still open.
+  beginStroke(name) {
+    if (this.isStrokeActive && this.strokeName === name && this.historyManager.isStepOpen()) return;
+
+    this.endStroke();
+    this.historyManager.beginStep(name);
+    this.isStrokeActive = true;
+    this.strokeName = name;
+  }
+
+  // Finish the current POINT stroke, committing it as one undo step
+  endStroke() {
+    if (this.isStrokeActive) {
+      this.historyManager.endStep();
+      this.isStrokeActive = false;
+      this.strokeName = null;
+    }
+  }
+
   // Handle no gesture
   handleNone() {
     this.isOrbitActive = false;
@@ -278,6 +564,7 @@ export class GestureActions {
   }
 
   set3DMode(is3D) {
+    this.endStroke();
     this.is3DMode = is3D;
     // Reset state if needed
     if (!is3D) {
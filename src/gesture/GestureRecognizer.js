@@ -1,21 +1,69 @@
 import {
   GESTURES,
   PINCH_THRESHOLD,
+  PINCH_RELEASE_THRESHOLD,
   FIST_THRESHOLD,
   PALM_THRESHOLD,
   PEACE_THRESHOLD,
   SWIPE_VELOCITY,
   SWIPE_MIN_DISTANCE,
+  FINGER_EXTENDED_RATIO,
+  FIST_RELEASE_RATIO,
+  CURSOR_FILTER,
+  GESTURE_TIMING,
+  DEFAULT_GESTURE_TIMING,
+  GESTURE_ACTIONS,
+  HANDS,
   HAND_LANDMARKS,
 } from '../utils/constants.js';
+import { OneEuroFilter } from './OneEuroFilter.js';
+
+// Landmark that positions each held gesture, and how sure the classifier is of it
+const GESTURE_OUTPUTS = {
+  [GESTURES.PINCH]: { landmark: HAND_LANDMARKS.INDEX_TIP, confidence: 0.95 },
+  [GESTURES.FIST]: { landmark: HAND_LANDMARKS.WRIST, confidence: 0.9 },
+  [GESTURES.PEACE]: { landmark: HAND_LANDMARKS.INDEX_TIP, confidence: 0.85 },
+  [GESTURES.PALM]: { landmark: HAND_LANDMARKS.WRIST, confidence: 0.9 },
+  [GESTURES.POINT]: { landmark: HAND_LANDMARKS.INDEX_TIP, confidence: 0.85 },
+  [GESTURES.NONE]: { landmark: HAND_LANDMARKS.WRIST, confidence: 0 },
+};
 
 export class GestureRecognizer {
-  constructor() {
+  // customGestures (optional) holds the user's trained poses; side is the hand this
+  // recognizer follows, which custom poses need to mirror left hands
+  constructor(customGestures = null, side = HANDS.RIGHT) {
+    this.customGestures = customGestures;
+    this.side = side;
+
     this.previousHandPosition = null;
     this.swipeStartPosition = null;
     this.swipeStartTime = null;
+
+    // Gesture state machine: lastGesture is the gesture reported until a candidate has
+    // been seen long enough to replace it (see GESTURE_TIMING)
     this.lastGesture = GESTURES.NONE;
+    this.gestureStartTime = null;
+    this.gestureHoldTime = 0; // How long lastGesture has been held (ms)
+    this.lastSeenTime = -Infinity; // Last frame classified as lastGesture
+    this.candidate = null;
+    this.candidateTime = 0;
+
+    // One Euro filters per positioning landmark, so switching gestures doesn't drag
+    // the cursor between fingertip and wrist
+    this.positionFilters = new Map();
+  }
+
+  // Forget motion history and the held gesture, e.g. when the hand leaves the frame
+  reset() {
+    this.previousHandPosition = null;
+    this.swipeStartPosition = null;
+    this.swipeStartTime = null;
+    this.lastGesture = GESTURES.NONE;
+    this.gestureStartTime = null;
     this.gestureHoldTime = 0;
+    this.lastSeenTime = -Infinity;
+    this.candidate = null;
+    this.positionFilters.clear();
   }
 
   // Calculate distance between two landmarks
@@ -34,10 +82,10 @@ export class GestureRecognizer {
   }
 
   // Check if a finger is extended
-  isFingerExtended(landmarks, fingerTip, fingerPIP, fingerMCP) {
+  isFingerExtended(landmarks, fingerTip, fingerPIP, fingerMCP, ratio = FINGER_EXTENDED_RATIO) {
     const tipToMCP = this.distance(landmarks[fingerTip], landmarks[fingerMCP]);
     const pipToMCP = this.distance(landmarks[fingerPIP], landmarks[fingerMCP]);
-    return tipToMCP > pipToMCP * 1.2;
+    return tipToMCP > pipToMCP * ratio;
   }
 
   // Check if thumb is extended
@@ -54,49 +102,54 @@ export class GestureRecognizer {
   }
 
   // Get extended finger count
-  getExtendedFingers(landmarks) {
+  getExtendedFingers(landmarks, ratio = FINGER_EXTENDED_RATIO) {
     const fingers = {
       thumb: this.isThumbExtended(landmarks),
       index: this.isFingerExtended(
         landmarks,
         HAND_LANDMARKS.INDEX_TIP,
         HAND_LANDMARKS.INDEX_PIP,
-        HAND_LANDMARKS.INDEX_MCP
+        HAND_LANDMARKS.INDEX_MCP,
+        ratio
       ),
       middle: this.isFingerExtended(
         landmarks,
         HAND_LANDMARKS.MIDDLE_TIP,
         HAND_LANDMARKS.MIDDLE_PIP,
-        HAND_LANDMARKS.MIDDLE_MCP
+        HAND_LANDMARKS.MIDDLE_MCP,
+        ratio
       ),
       ring: this.isFingerExtended(
         landmarks,
         HAND_LANDMARKS.RING_TIP,
         HAND_LANDMARKS.RING_PIP,
-        HAND_LANDMARKS.RING_MCP
+        HAND_LANDMARKS.RING_MCP,
+        ratio
       ),
       pinky: this.isFingerExtended(
         landmarks,
         HAND_LANDMARKS.PINKY_TIP,
         HAND_LANDMARKS.PINKY_PIP,
-        HAND_LANDMARKS.PINKY_MCP
+        HAND_LANDMARKS.PINKY_MCP,
+        ratio
       ),
     };
 
     return fingers;
   }
 
-  // Detect pinch gesture
+  // Detect pinch gesture; a held pinch only lets go at the wider release distance
   isPinching(landmarks) {
     const thumbTip = landmarks[HAND_LANDMARKS.THUMB_TIP];
     const indexTip = landmarks[HAND_LANDMARKS.INDEX_TIP];
     const distance = this.distance(thumbTip, indexTip);
-    return distance < PINCH_THRESHOLD;
+    return distance < (this.lastGesture === GESTURES.PINCH ? PINCH_RELEASE_THRESHOLD : PINCH_THRESHOLD);
   }
 
-  // Detect fist gesture
+  // Detect fist gesture; a held fist needs fingers straighter than usual to open
   isFist(landmarks) {
-    const fingers = this.getExtendedFingers(landmarks);
+    const ratio = this.lastGesture === GESTURES.FIST ? FIST_RELEASE_RATIO : FINGER_EXTENDED_RATIO;
+    const fingers = this.getExtendedFingers(landmarks, ratio);
     const extendedCount = Object.values(fingers).filter(Boolean).length;
     return extendedCount <= 1;
   }
@@ -165,74 +218,143 @@ export class GestureRecognizer {
         if (Math.abs(dx) > Math.abs(dy)) {
           return dx > 0 ? GESTURES.SWIPE_LEFT : GESTURES.SWIPE_RIGHT;
         }
+
+        // Image y grows downwards
+        return dy < 0 ? GESTURES.SWIPE_UP : GESTURES.SWIPE_DOWN;
       }
     }
 
     return null;
   }
 
-  // Main recognition function
-  recognize(landmarks) {
+  // Main recognition function. The reported gesture changes only through the state
+  // machine, and its position is One Euro filtered.
+  recognize(landmarks, now = performance.now()) {
     if (!landmarks || landmarks.length === 0) {
-      this.previousHandPosition = null;
-      this.swipeStartPosition = null;
+      this.reset();
       return { gesture: GESTURES.NONE, confidence: 0 };
     }
 
-    // Check for swipe first (quick gesture)
+    // Swipes are one-off events, reported the moment they happen
     const swipe = this.detectSwipe(landmarks);
     if (swipe) {
       return { gesture: swipe, confidence: 0.9 };
     }
 
-    // Check gestures in priority order
-    if (this.isPinching(landmarks)) {
-      return {
-        gesture: GESTURES.PINCH,
-        confidence: 0.95,
-        position: landmarks[HAND_LANDMARKS.INDEX_TIP],
-      };
-    }
+    const previous = this.lastGesture;
+    const held = this.updateState(this.classify(landmarks), now);
 
-    if (this.isFist(landmarks)) {
-      return {
-        gesture: GESTURES.FIST,
-        confidence: 0.9,
-        position: landmarks[HAND_LANDMARKS.WRIST],
-      };
+    const custom = this.customGestures?.get(held);
+    if (custom) {
+      return this.getCustomResult(custom, held !== previous, landmarks, now);
     }
 
-    if (this.isPeaceSign(landmarks)) {
-      return {
-        gesture: GESTURES.PEACE,
-        confidence: 0.85,
-        position: landmarks[HAND_LANDMARKS.INDEX_TIP],
-      };
-    }
+    // A custom gesture deleted while held reads as no gesture
+    const gesture = Object.hasOwn(GESTURE_OUTPUTS, held) ? held : GESTURES.NONE;
+    const { landmark, confidence } = GESTURE_OUTPUTS[gesture];
+
+    return {
+      gesture,
+      confidence,
+      position: this.filterPosition(landmark, landmarks[landmark], now),
+      holdTime: this.gestureHoldTime,
+    };
+  }
 
-    if (this.isOpenPalm(landmarks)) {
-      return {
-        gesture: GESTURES.PALM,
-        confidence: 0.9,
-        position: landmarks[HAND_LANDMARKS.WRIST],
-      };
+  // A held custom gesture reports the built-in gesture of the action it is bound to;
+  // one-off actions only on the frame the pose takes over
+  getCustomResult(custom, started, landmarks, now) {
+    const action = GESTURE_ACTIONS[custom.action];
+    const gesture = action.once && !started ? GESTURES.NONE : action.gesture;
+    const { landmark } = GESTURE_OUTPUTS[gesture] ?? GESTURE_OUTPUTS[GESTURES.POINT];
+
+    return {
+      gesture,
+      confidence: 0.8,
+      position: this.filterPosition(landmark, landmarks[landmark], now),
+      holdTime: this.gestureHoldTime,
+      customGesture: custom.name,
+    };
+  }
+
+  // This frame's gesture on its own, in priority order. Custom gestures come first:
+  // the user trained them on purpose, often to take over a built-in pose.
+  classify(landmarks) {
+    const custom = this.customGestures?.classify(landmarks, this.side);
+    if (custom) return custom;
+
+    if (this.isPinching(landmarks)) return GESTURES.PINCH;
+    if (this.isFist(landmarks)) return GESTURES.FIST;
+    if (this.isPeaceSign(landmarks)) return GESTURES.PEACE;
+    if (this.isOpenPalm(landmarks)) return GESTURES.PALM;
+    if (this.isPointing(landmarks)) return GESTURES.POINT;
+    return GESTURES.NONE;
+  }
+
+  // Feed a frame's classification to the state machine and return the held gesture: a
+  // new gesture takes over once it has been seen for its enter time in a row and the
+  // held one hasn't been seen for its exit time
+  updateState(gesture, now) {
+    if (gesture === this.lastGesture) {
+      this.lastSeenTime = now;
+      this.candidate = null;
+    } else {
+      if (gesture !== this.candidate) {
+        this.candidate = gesture;
+        this.candidateTime = now;
+      }
+
+      const { enter } = GESTURE_TIMING[gesture] ?? DEFAULT_GESTURE_TIMING;
+      const { exit } = GESTURE_TIMING[this.lastGesture] ?? DEFAULT_GESTURE_TIMING;
+      if (now - this.candidateTime >= enter && now - this.lastSeenTime >= exit) {
+        this.lastGesture = gesture;
+        this.gestureStartTime = this.candidateTime;
+        this.lastSeenTime = now;
+        this.candidate = null;
+      }
     }
 
-    if (this.isPointing(landmarks)) {
-      return {
-        gesture: GESTURES.POINT,
-        confidence: 0.85,
-        position: landmarks[HAND_LANDMARKS.INDEX_TIP],
-      };
+    this.gestureStartTime ??= now;
+    this.gestureHoldTime = now - this.gestureStartTime;
+    return this.lastGesture;
+  }
+
+  // Filtered copy of a positioning landmark
+  filterPosition(index, point, now) {
+    let filters = this.positionFilters.get(index);
+    if (!filters) {
+      filters = [new OneEuroFilter(CURSOR_FILTER), new OneEuroFilter(CURSOR_FILTER), new OneEuroFilter(CURSOR_FILTER)];
+      this.positionFilters.set(index, filters);
     }
 
     return {
-      gesture: GESTURES.NONE,
-      confidence: 0,
-      position: landmarks[HAND_LANDMARKS.WRIST],
+      x: filters[0].filter(point.x, now),
+      y: filters[1].filter(point.y, now),
+      z: filters[2].filter(point.z ?? 0, now),
     };
   }
 
+  // Apparent hand size: wrist to middle knuckle, which stays rigid whatever the fingers
+  // do. Landmark z counts too, so tilting the palm doesn't read as moving away.
+  getHandSize(landmarks) {
+    return this.distance(landmarks[HAND_LANDMARKS.WRIST], landmarks[HAND_LANDMARKS.MIDDLE_MCP]);
+  }
+
+  // Knuckle depth: mean z of the four finger knuckles relative to the wrist (negative
+  // when they are nearer the camera). It grows as the hand comes closer and tips toward
+  // the camera, so it backs up the size in depth mode.
+  getKnuckleDepth(landmarks) {
+    const knuckles = [
+      HAND_LANDMARKS.INDEX_MCP,
+      HAND_LANDMARKS.MIDDLE_MCP,
+      HAND_LANDMARKS.RING_MCP,
+      HAND_LANDMARKS.PINKY_MCP,
+    ];
+    const wristZ = landmarks[HAND_LANDMARKS.WRIST].z || 0;
+    const sum = knuckles.reduce((total, index) => total + (landmarks[index].z || 0) - wristZ, 0);
+    return sum / knuckles.length;
+  }
+
   // Get hand center position
   getHandCenter(landmarks) {
     if (!landmarks) return null;
@@ -1,3 +1,11 @@
+import { HANDS, DEFAULT_DOMINANT_HAND } from '../utils/constants.js';
+
+// Skeleton colors for the hand driving the tools and for the off hand
+const HAND_COLORS = {
+  primary: { glow: '#00f0ff', line: 'rgba(0, 240, 255, 0.6)' },
+  offHand: { glow: '#ff2bd6', line: 'rgba(255, 43, 214, 0.6)' },
+};
+
 export class HandTracker {
   constructor(videoElement, canvasElement) {
     this.video = videoElement;
@@ -10,9 +18,10 @@ export class HandTracker {
 
     this.listeners = new Set();
     this.lastResults = null;
+    this.dominantHand = DEFAULT_DOMINANT_HAND;
 
-    // Cyber smoothing
-    this.smoothedLandmarks = { Left: [], Right: [] };
+    // Cyber smoothing, per hand side
+    this.smoothedLandmarks = { [HANDS.LEFT]: [], [HANDS.RIGHT]: [] };
   }
 
   async init() {
@@ -80,46 +89,71 @@ export class HandTracker {
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
-    // Draw hand landmarks
-    if (results.multiHandLandmarks) {
-      for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-        const landmarks = results.multiHandLandmarks[i];
-        const handedness = results.multiHandedness[i];
+    // Draw hand landmarks, primary hand first
+    const hands = this.getHands(results);
+    hands.forEach((hand) => this.drawHand(hand, hand.side === this.dominantHand));
 
-        this.drawHand(landmarks, handedness);
-      }
+    // Notify listeners
+    this.notifyListeners(results, hands);
+  }
+
+  setDominantHand(hand) {
+    this.dominantHand = hand;
+  }
+
+  getDominantHand() {
+    return this.dominantHand;
+  }
+
+  // Visible hands as [{ landmarks, side }], the dominant hand first. Only the dominant
+  // hand drives the cursor and tools; a lone off hand still holds modifiers and menus.
+  getHands(results) {
+    const hands = (results.multiHandLandmarks ?? []).map((landmarks, i) => ({
+      landmarks,
+      side: HandTracker.getHandSide(results.multiHandedness?.[i]),
+    }));
+
+    // Both hands are sometimes given the same label; detection order decides then
+    if (hands.length === 2 && hands[0].side === hands[1].side) {
+      hands[1].side = hands[0].side === HANDS.LEFT ? HANDS.RIGHT : HANDS.LEFT;
     }
 
-    // Notify listeners
-    this.notifyListeners(results);
+    return hands.sort((a, b) => (b.side === this.dominantHand) - (a.side === this.dominantHand));
   }
 
+  // The user's hand for a MediaPipe handedness. MediaPipe labels hands as if the image
+  // were mirrored, but it gets the raw camera frame (only the display is flipped), so
+  // its "Left" is the user's right hand.
+  static getHandSide(handedness) {
+    return handedness?.label === 'Left' ? HANDS.RIGHT : HANDS.LEFT;
+  }
 
-  drawHand(landmarks, handedness) {
+  drawHand(hand, isPrimary) {
     const { width, height } = this.canvas;
-    const label = handedness.label;
+    const { landmarks, side } = hand;
+    const colors = isPrimary ? HAND_COLORS.primary : HAND_COLORS.offHand;
     const ctx = this.ctx;
 
     // Smoothing logic
-    if (!this.smoothedLandmarks[label] || this.smoothedLandmarks[label].length === 0) {
-      this.smoothedLandmarks[label] = landmarks.map(p => ({ ...p }));
+    if (!this.smoothedLandmarks[side] || this.smoothedLandmarks[side].length === 0) {
+      this.smoothedLandmarks[side] = landmarks.map(p => ({ ...p }));
     } else {
       landmarks.forEach((p, i) => {
-        if (this.smoothedLandmarks[label][i]) {
-          this.smoothedLandmarks[label][i].x += (p.x - this.smoothedLandmarks[label][i].x) * 0.45;
-          this.smoothedLandmarks[label][i].y += (p.y - this.smoothedLandmarks[label][i].y) * 0.45;
-          this.smoothedLandmarks[label][i].z += (p.z - this.smoothedLandmarks[label][i].z) * 0.1;
+        if (this.smoothedLandmarks[side][i]) {
+          this.smoothedLandmarks[side][i].x += (p.x - this.smoothedLandmarks[side][i].x) * 0.45;
+          this.smoothedLandmarks[side][i].y += (p.y - this.smoothedLandmarks[side][i].y) * 0.45;
+          this.smoothedLandmarks[side][i].z += (p.z - this.smoothedLandmarks[side][i].z) * 0.1;
         }
       });
     }
 
-    const pts = this.smoothedLandmarks[label];
+    const pts = this.smoothedLandmarks[side];
 
     // Cyber Style Drawing
     ctx.shadowBlur = 10;
-    ctx.shadowColor = "#00f0ff";
+    ctx.shadowColor = colors.glow;
     ctx.beginPath();
-    ctx.strokeStyle = "rgba(0, 240, 255, 0.6)";
+    ctx.strokeStyle = colors.line;
     ctx.lineWidth = 2;
 
     const CONNECTIONS = [
@@ -146,7 +180,7 @@ export class HandTracker {
 
       if ([4, 8, 12, 16, 20].includes(i)) {
         // Fingertips: Hollow Box
-        ctx.strokeStyle = "#00f0ff";
+        ctx.strokeStyle = colors.glow;
         ctx.strokeRect(x - 6, y - 6, 12, 12);
       } else {
         // Joints: Filled small box
@@ -164,9 +198,9 @@ export class HandTracker {
     return () => this.listeners.delete(listener);
   }
 
-  notifyListeners(results) {
+  notifyListeners(results, hands) {
     for (const listener of this.listeners) {
-      listener(results);
+      listener(results, hands);
     }
   }
 
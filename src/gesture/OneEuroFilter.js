@@ -0,0 +1,42 @@
+// One Euro filter (Casiez et al., https://gery.casiez.net/1euro/): a low-pass filter
+// whose cutoff rises with speed, so a resting hand stops jittering while fast moves
+// still come through without lag.
+export class OneEuroFilter {
+  constructor({ minCutoff, beta, dCutoff }) {
+    this.minCutoff = minCutoff; // Hz; lower means less jitter at rest
+    this.beta = beta; // How much speed raises the cutoff; higher means less lag
+    this.dCutoff = dCutoff; // Hz, for smoothing the speed itself
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.lastTime = null;
+  }
+
+  // Filter a sample taken at time (ms)
+  filter(value, time) {
+    if (this.value === null || time <= this.lastTime) {
+      this.value ??= value;
+      this.lastTime ??= time;
+      return this.value;
+    }
+
+    const dt = (time - this.lastTime) / 1000;
+    this.lastTime = time;
+
+    const derivative = (value - this.value) / dt;
+    this.derivative += (derivative - this.derivative) * OneEuroFilter.alpha(this.dCutoff, dt);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value += (value - this.value) * OneEuroFilter.alpha(cutoff, dt);
+    return this.value;
+  }
+
+  // Smoothing factor of a first-order low-pass filter with the given cutoff
+  static alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+}
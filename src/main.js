@@ -1,26 +1,68 @@
 import { VoxelWorld } from './core/VoxelWorld.js';
+import { Palette } from './core/Palette.js';
 import { VoxelRenderer } from './core/VoxelRenderer.js';
 import { Canvas2DRenderer } from './core/Canvas2DRenderer.js';
 import { HandTracker } from './gesture/HandTracker.js';
 import { GestureRecognizer } from './gesture/GestureRecognizer.js';
 import { GestureActions } from './gesture/GestureActions.js';
+import { DepthControl } from './gesture/DepthControl.js';
+import { CustomGestures } from './gesture/CustomGestures.js';
 import { HistoryManager } from './utils/HistoryManager.js';
+import { Settings } from './utils/Settings.js';
 import { ColorPalette } from './ui/ColorPalette.js';
 import { ExportManager } from './export/ExportManager.js';
-import { GESTURES, MODES } from './utils/constants.js';
+import { ImportManager } from './export/ImportManager.js';
+import { ProjectManager } from './project/ProjectManager.js';
+import { PROJECT_EXTENSION } from './project/ProjectFormat.js';
+import { ProjectStore } from './project/ProjectStore.js';
+import { Autosave } from './project/Autosave.js';
+import { ShareLink } from './project/ShareLink.js';
+import { ProjectGallery } from './ui/ProjectGallery.js';
+import { RENDER_STYLES } from './core/RenderStyles.js';
+import { BlockMapping, MINECRAFT_COLOR_BLOCKS } from './export/BlockMapping.js';
+import {
+  GESTURES,
+  MODES,
+  GRID_SIZE,
+  GRID_SIZE_OPTIONS,
+  DEFAULT_STL_SCALE,
+  CAMERA_VIEWS,
+  PROJECTIONS,
+  PROJECTION_TOGGLE_KEY,
+  SLICE_AXES,
+  SLICE_DOWN_KEY,
+  SLICE_UP_KEY,
+  WORK_PLANE_AXES,
+  WORK_PLANE_AXIS_KEY,
+  WORK_PLANE_DOWN_KEY,
+  WORK_PLANE_UP_KEY,
+  DEFAULT_TURNTABLE_FRAMES,
+  DEFAULT_TURNTABLE_FPS,
+  HANDS,
+  DEFAULT_DOMINANT_HAND,
+  DEPTH_TOGGLE_KEY,
+  GESTURE_ACTIONS,
+  RENDER_MODES,
+} from './utils/constants.js';
 
 class App {
   constructor() {
     // Core components
     this.voxelWorld = null;
+    this.palette = null;
     this.voxelRenderer = null;
     this.canvas2dRenderer = null;
     this.handTracker = null;
-    this.gestureRecognizer = null;
+    this.gestureRecognizers = null;
     this.gestureActions = null;
     this.historyManager = null;
     this.colorPalette = null;
     this.exportManager = null;
+    this.importManager = null;
+    this.projectManager = null;
+    this.projectStore = null;
+    this.autosave = null;
+    this.projectGallery = null;
 
     // State
     this.is3DMode = false; // Default to 2D
@@ -48,6 +90,12 @@ class App {
       // Initialize UI
       this.initUI();
 
+      // Open a model shared by link, or offer to restore the last session
+      if (!(await this.openShareLink())) {
+        await this.restoreLastSession();
+      }
+      this.autosave.start();
+
       // Show tutorial on first load
       this.showTutorial();
 
@@ -72,51 +120,160 @@ class App {
       colorPalette: document.getElementById('colorPalette'),
       tutorialModal: document.getElementById('tutorialModal'),
       exportModal: document.getElementById('exportModal'),
+      galleryModal: document.getElementById('galleryModal'),
+      galleryGrid: document.getElementById('galleryGrid'),
+      galleryBtn: document.getElementById('galleryBtn'),
+      closeGallery: document.getElementById('closeGallery'),
+      newProjectBtn: document.getElementById('newProjectBtn'),
+      saveStatus: document.getElementById('saveStatus'),
       loadingOverlay: document.getElementById('loadingOverlay'),
       tutorialBtn: document.getElementById('tutorialBtn'),
       modeToggleBtn: document.getElementById('modeToggleBtn'),
       exportBtn: document.getElementById('exportBtn'),
-      screenshotBtn: document.getElementById('screenshotBtn'),
+      saveBtn: document.getElementById('saveBtn'),
+      openBtn: document.getElementById('openBtn'),
+      openInput: document.getElementById('openInput'),
+      importBtn: document.getElementById('importBtn'),
+      importInput: document.getElementById('importInput'),
+      canvasPanel: document.querySelector('.canvas-panel'),
+      gridSizeSelect: document.getElementById('gridSizeSelect'),
+      dominantHandSelect: document.getElementById('dominantHandSelect'),
+      renderStyleSelect: document.getElementById('renderStyleSelect'),
+      aoToggleBtn: document.getElementById('aoToggleBtn'),
+      viewControls: document.getElementById('viewControls'),
+      holdRing: document.getElementById('holdRing'),
+      holdRingProgress: document.getElementById('holdRingProgress'),
+      depthBtn: document.getElementById('depthBtn'),
+      depthCalibrateBtn: document.getElementById('depthCalibrateBtn'),
+      handPrompt: document.getElementById('handPrompt'),
+      gesturesBtn: document.getElementById('gesturesBtn'),
+      gesturesModal: document.getElementById('gesturesModal'),
+      closeGestures: document.getElementById('closeGestures'),
+      customGestureName: document.getElementById('customGestureName'),
+      customGestureAction: document.getElementById('customGestureAction'),
+      recordGestureBtn: document.getElementById('recordGestureBtn'),
+      customGestureStatus: document.getElementById('customGestureStatus'),
+      customGestureList: document.getElementById('customGestureList'),
+      projectionBtn: document.getElementById('projectionBtn'),
+      planeBtn: document.getElementById('planeBtn'),
+      planeDownBtn: document.getElementById('planeDownBtn'),
+      planeUpBtn: document.getElementById('planeUpBtn'),
+      sliceBtn: document.getElementById('sliceBtn'),
+      sliceDownBtn: document.getElementById('sliceDownBtn'),
+      sliceUpBtn: document.getElementById('sliceUpBtn'),
+      renderBtn: document.getElementById('renderBtn'),
+      renderModal: document.getElementById('renderModal'),
+      closeRender: document.getElementById('closeRender'),
+      renderWidth: document.getElementById('renderWidth'),
+      renderHeight: document.getElementById('renderHeight'),
+      renderSupersample: document.getElementById('renderSupersample'),
+      renderBackground: document.getElementById('renderBackground'),
+      renderBackgroundColor: document.getElementById('renderBackgroundColor'),
+      renderHelpers: document.getElementById('renderHelpers'),
+      renderImage: document.getElementById('renderImage'),
+      renderTurntable: document.getElementById('renderTurntable'),
+      turntableFrames: document.getElementById('turntableFrames'),
+      turntableFps: document.getElementById('turntableFps'),
+      turntableFormat: document.getElementById('turntableFormat'),
+      renderStatus: document.getElementById('renderStatus'),
       closeTutorial: document.getElementById('closeTutorial'),
       closeExport: document.getElementById('closeExport'),
       startBtn: document.getElementById('startBtn'),
       exportOBJ: document.getElementById('exportOBJ'),
+      objVertexColors: document.getElementById('objVertexColors'),
       exportGLB: document.getElementById('exportGLB'),
+      projectName: document.getElementById('projectName'),
+      glbColorMode: document.getElementById('glbColorMode'),
+      glbPivot: document.getElementById('glbPivot'),
+      glbEmbed: document.getElementById('glbEmbed'),
+      exportVOX: document.getElementById('exportVOX'),
+      exportSTL: document.getElementById('exportSTL'),
+      stlScale: document.getElementById('stlScale'),
+      stlFormat: document.getElementById('stlFormat'),
+      stlSplit: document.getElementById('stlSplit'),
+      exportSchematic: document.getElementById('exportSchematic'),
+      schematicVersion: document.getElementById('schematicVersion'),
+      blockMapList: document.getElementById('blockMapList'),
+      minecraftBlocks: document.getElementById('minecraftBlocks'),
+      exportBlueprint: document.getElementById('exportBlueprint'),
+      blueprintFormat: document.getElementById('blueprintFormat'),
+      copyShareLink: document.getElementById('copyShareLink'),
     };
   }
 
   initCore() {
     // Create voxel world
-    this.voxelWorld = new VoxelWorld();
+    this.voxelWorld = new VoxelWorld(GRID_SIZE);
+
+    // Create project palette
+    this.palette = new Palette();
 
     // Create voxel renderer
     this.voxelRenderer = new VoxelRenderer(
       this.elements.threeCanvas,
-      this.voxelWorld
+      this.voxelWorld,
+      this.palette
     );
 
     // Create 2D renderer
     this.canvas2dRenderer = new Canvas2DRenderer(this.elements.canvas2d);
 
     // Create history manager
-    this.historyManager = new HistoryManager();
+    this.historyManager = new HistoryManager(this.voxelWorld);
+
+    // Poses the user trained, recognized alongside the built-in gestures
+    this.customGestures = new CustomGestures();
 
-    // Create gesture recognizer
-    this.gestureRecognizer = new GestureRecognizer();
+    // Create gesture recognizers, one per hand so swipe tracking never mixes the two
+    this.gestureRecognizers = {
+      [HANDS.LEFT]: new GestureRecognizer(this.customGestures, HANDS.LEFT),
+      [HANDS.RIGHT]: new GestureRecognizer(this.customGestures, HANDS.RIGHT),
+    };
+
+    // Depth mode: hand distance from the camera moves the 3D cursor along its ray
+    this.depthControl = new DepthControl();
 
     // Create gesture actions handler
     this.gestureActions = new GestureActions(
       this.voxelWorld,
       this.voxelRenderer,
       this.canvas2dRenderer,
-      this.historyManager
+      this.historyManager,
+      this.palette,
+      this.depthControl
     );
 
     // Initial sync
     this.gestureActions.set3DMode(this.is3DMode);
 
+    // Minecraft block per color for schematic export and import
+    this.blockMapping = new BlockMapping(this.palette);
+
     // Create export manager
-    this.exportManager = new ExportManager(this.voxelWorld, this.voxelRenderer);
+    this.exportManager = new ExportManager(this.voxelWorld, this.voxelRenderer, this.palette, this.blockMapping);
+
+    // Create import manager
+    this.importManager = new ImportManager(this.voxelWorld, this.palette, this.historyManager, this.blockMapping);
+
+    // Create project manager (save/open .gvox files)
+    this.projectManager = new ProjectManager(
+      this.voxelWorld,
+      this.palette,
+      this.voxelRenderer,
+      this.canvas2dRenderer,
+      this.historyManager,
+      this.blockMapping
+    );
+
+    // Local project storage (IndexedDB), autosave and gallery
+    this.projectStore = new ProjectStore();
+    this.autosave = new Autosave(this.projectManager, this.projectStore);
+    this.projectGallery = new ProjectGallery(
+      this.elements.galleryGrid,
+      this.projectStore,
+      this.projectManager,
+      (record) => this.openStoredProject(record)
+    );
 
     // Set up gesture action listeners
     this.gestureActions.on('modeChange', (mode) => {
@@ -132,6 +289,12 @@ class App {
     this.gestureActions.on('gestureChange', (gesture) => {
       this.elements.currentGesture.textContent = this.getGestureDisplayName(gesture);
     });
+
+    // Progress ring while both fists are held to clear
+    this.gestureActions.on('holdProgress', (progress) => {
+      this.elements.holdRing.classList.toggle('active', progress !== null);
+      this.elements.holdRingProgress.style.strokeDashoffset = 1 - (progress ?? 0);
+    });
   }
 
   updateModeUI() {
@@ -144,6 +307,12 @@ class App {
 
       // Update export button visibility (only makes sense in 3D)
       this.elements.exportBtn.style.display = 'inline-block';
+      this.elements.importBtn.style.display = 'inline-block';
+      this.elements.renderBtn.style.display = 'inline-block';
+      this.elements.gridSizeSelect.style.display = 'inline-block';
+      this.elements.renderStyleSelect.style.display = 'inline-block';
+      this.elements.aoToggleBtn.style.display = 'inline-block';
+      this.elements.viewControls.style.display = 'flex';
 
       // Update cursor info visibility (if we wanted to toggle IDs, but keeping them visible is fine)
 
@@ -156,9 +325,26 @@ class App {
 
       // Hide export button in 2D
       this.elements.exportBtn.style.display = 'none';
+      this.elements.importBtn.style.display = 'none';
+      this.elements.renderBtn.style.display = 'none';
+      this.elements.gridSizeSelect.style.display = 'none';
+      this.elements.renderStyleSelect.style.display = 'none';
+      this.elements.aoToggleBtn.style.display = 'none';
+      this.elements.viewControls.style.display = 'none';
     }
   }
 
+  // AO is baked into meshes, so the instanced render styles can't show it
+  updateAOButton() {
+    const button = this.elements.aoToggleBtn;
+    const meshed = this.voxelRenderer.getRenderMode() === RENDER_MODES.CHUNKED;
+    button.textContent = this.voxelRenderer.getAmbientOcclusion() ? 'AO [ON]' : 'AO [OFF]';
+    button.disabled = !meshed;
+    button.title = meshed
+      ? 'Baked ambient occlusion (mesh render and vertex-color exports)'
+      : 'Ambient occlusion needs a mesh render style';
+  }
+
   toggleMode() {
     this.is3DMode = !this.is3DMode;
     this.updateModeUI();
@@ -171,40 +357,69 @@ class App {
       this.elements.webcam,
       this.elements.handCanvas
     );
+    const dominantHand = Settings.get('dominantHand', DEFAULT_DOMINANT_HAND);
+    this.handTracker.setDominantHand(Object.values(HANDS).includes(dominantHand) ? dominantHand : DEFAULT_DOMINANT_HAND);
 
     // Initialize and start
     await this.handTracker.init();
     await this.handTracker.start();
 
     // Subscribe to hand tracking results
-    this.handTracker.subscribe((results) => {
-      this.processHandResults(results);
+    this.handTracker.subscribe((results, hands) => {
+      this.processHandResults(results, hands);
     });
   }
 
-  processHandResults(results) {
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-      // Use the first detected hand
-      const landmarks = results.multiHandLandmarks[0];
+  processHandResults(results, hands) {
+    // A recognizer whose hand left the frame starts fresh when it returns
+    for (const [side, recognizer] of Object.entries(this.gestureRecognizers)) {
+      if (!hands.some((hand) => hand.side === side)) recognizer.reset();
+    }
+
+    // While a custom gesture is recorded, the hand trains it instead of editing
+    if (this.customGestures.isRecording()) {
+      this.customGestures.addFrame(hands[0]?.landmarks ?? null, hands[0]?.side);
+      this.gestureActions.handleHandsLost();
+      this.updateHandPrompt();
+      return;
+    }
+
+    // The dominant hand drives the tools; the off hand (if visible) adds modifiers
+    const primary = hands.find((hand) => hand.side === this.handTracker.getDominantHand()) ?? null;
+    const offHand = hands.find((hand) => hand !== primary) ?? null;
+    const offHandData = offHand ? this.gestureRecognizers[offHand.side].recognize(offHand.landmarks) : null;
 
-      // Recognize gesture
-      const gestureData = this.gestureRecognizer.recognize(landmarks);
+    if (primary) {
+      const recognizer = this.gestureRecognizers[primary.side];
 
-      // Get hand movement for camera control
-      const handMovement = this.gestureRecognizer.getHandMovement(landmarks);
+      // Recognize gestures
+      const gestureData = recognizer.recognize(primary.landmarks);
+
+      // Get hand movement for camera control, and hand size and knuckle z for depth mode
+      const handMovement = recognizer.getHandMovement(primary.landmarks);
+      this.depthControl.update(recognizer.getHandSize(primary.landmarks), recognizer.getKnuckleDepth(primary.landmarks));
 
       // Process gesture actions
-      this.gestureActions.processResults(results, gestureData, handMovement);
+      this.gestureActions.processResults(results, gestureData, handMovement, offHandData);
     } else {
-      // No hands detected
+      // No dominant hand: the tools wait, but a lone off hand keeps its menu gestures
+      this.depthControl.update(null);
+      if (offHandData) {
+        this.gestureActions.processOffHand(offHandData);
+      } else {
+        this.gestureActions.handleHandsLost();
+      }
       this.elements.currentGesture.textContent = 'NO HAND';
     }
+
+    if (this.depthControl.isCalibrating()) this.updateHandPrompt();
   }
 
   initUI() {
     // Initialize color palette
     this.colorPalette = new ColorPalette(
       this.elements.colorPalette,
+      this.palette,
       (colorIndex) => {
         this.gestureActions.setColor(colorIndex);
       }
@@ -229,11 +444,67 @@ class App {
       this.hideTutorial();
     });
 
+    // Grid size selector
+    this.initGridSizeSelect();
+
+    // Dominant hand (drives the cursor and tools)
+    this.initDominantHandSelect();
+
+    // Render style presets (cyber, solid, toon, clay)
+    this.initRenderStyleSelect();
+
+    // Preset camera views, projection, work plane and cross-section (HUD buttons and keyboard)
+    this.initViewControls();
+
+    // Depth mode toggle and calibration
+    this.initDepthControls();
+
+    // Ambient occlusion toggle (kept in settings)
+    this.voxelRenderer.setAmbientOcclusion(Settings.get('ambientOcclusion', true) !== false);
+    this.updateAOButton();
+    this.voxelRenderer.subscribeStyle(() => this.updateAOButton());
+    this.elements.aoToggleBtn.addEventListener('click', () => {
+      this.voxelRenderer.setAmbientOcclusion(!this.voxelRenderer.getAmbientOcclusion());
+      Settings.set('ambientOcclusion', this.voxelRenderer.getAmbientOcclusion());
+      this.updateAOButton();
+    });
+
+    // Save / Open project files
+    this.initProjectFiles();
+
+    // Project gallery
+    this.elements.galleryBtn.addEventListener('click', () => {
+      this.showGallery();
+    });
+
+    this.elements.closeGallery.addEventListener('click', () => {
+      this.hideGallery();
+    });
+
+    this.elements.newProjectBtn.addEventListener('click', async () => {
+      try {
+        await this.switchProject(() => this.projectManager.newProject());
+        this.hideGallery();
+      } catch (error) {
+        console.error('New project error:', error);
+        alert('Failed to create project: ' + error.message);
+      }
+    });
+
+    // Import button, file picker and drag-and-drop
+    this.initImport();
+
     // Export button
     this.elements.exportBtn.addEventListener('click', () => {
       this.showExportModal();
     });
 
+    // Project name (used for saved files and export metadata)
+    this.elements.projectName.addEventListener('change', () => {
+      this.projectManager.setName(this.elements.projectName.value);
+      this.elements.projectName.value = this.projectManager.getName();
+    });
+
     // Close export modal
     this.elements.closeExport.addEventListener('click', () => {
       this.hideExportModal();
@@ -241,21 +512,77 @@ class App {
 
     // Export OBJ
     this.elements.exportOBJ.addEventListener('click', () => {
-      this.exportManager.exportOBJ();
+      this.exportManager.exportOBJ({
+        vertexColors: this.elements.objVertexColors.checked,
+        ambientOcclusion: this.voxelRenderer.getAmbientOcclusion(),
+      });
       this.hideExportModal();
     });
 
     // Export GLB
     this.elements.exportGLB.addEventListener('click', () => {
-      this.exportManager.exportGLB();
+      this.exportManager.exportGLB({
+        name: this.projectManager.getName(),
+        vertexColors: this.elements.glbColorMode.value === 'vertex',
+        ambientOcclusion: this.voxelRenderer.getAmbientOcclusion(),
+        centered: this.elements.glbPivot.value === 'center',
+        embedMetadata: this.elements.glbEmbed.checked,
+      });
+      this.hideExportModal();
+    });
+
+    // Export VOX
+    this.elements.exportVOX.addEventListener('click', () => {
+      this.exportManager.exportVOX();
+      this.hideExportModal();
+    });
+
+    // Export STL
+    this.elements.exportSTL.addEventListener('click', () => {
+      this.exportManager.exportSTL({
+        scale: Number(this.elements.stlScale.value) || DEFAULT_STL_SCALE,
+        binary: this.elements.stlFormat.value === 'binary',
+        splitByColor: this.elements.stlSplit.checked,
+      });
+      this.hideExportModal();
+    });
+
+    // Export Minecraft schematic
+    this.elements.exportSchematic.addEventListener('click', () => {
+      this.exportManager.exportSchematic({
+        name: this.projectManager.getName(),
+        version: Number(this.elements.schematicVersion.value),
+      });
+      this.hideExportModal();
+    });
+
+    this.initBlockMapEditor();
+
+    // Export blueprint
+    this.elements.exportBlueprint.addEventListener('click', () => {
+      this.exportManager.exportBlueprint({
+        name: this.projectManager.getName(),
+        format: this.elements.blueprintFormat.value,
+      });
       this.hideExportModal();
     });
 
-    // Screenshot button
-    this.elements.screenshotBtn.addEventListener('click', () => {
-      this.exportManager.takeScreenshot();
+    // Copy share link
+    this.elements.copyShareLink.addEventListener('click', () => {
+      this.copyShareLink();
+    });
+
+    // Share links pasted into an open tab
+    window.addEventListener('hashchange', () => {
+      this.openShareLink();
     });
 
+    // Render dialog
+    this.initRenderDialog();
+
+    // Custom gesture training
+    this.initCustomGestures();
+
     // Close modals on outside click
     this.elements.tutorialModal.addEventListener('click', (e) => {
       if (e.target === this.elements.tutorialModal) {
@@ -268,6 +595,645 @@ class App {
         this.hideExportModal();
       }
     });
+
+    this.elements.galleryModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.galleryModal) {
+        this.hideGallery();
+      }
+    });
+  }
+
+  initCustomGestures() {
+    for (const [action, { label }] of Object.entries(GESTURE_ACTIONS)) {
+      this.elements.customGestureAction.add(new Option(label, action));
+    }
+
+    this.elements.gesturesBtn.addEventListener('click', () => {
+      this.elements.customGestureStatus.textContent = '';
+      this.showGesturesModal();
+    });
+
+    this.elements.closeGestures.addEventListener('click', () => {
+      this.hideGesturesModal();
+    });
+
+    this.elements.gesturesModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.gesturesModal) {
+        this.hideGesturesModal();
+      }
+    });
+
+    // Record with the modal out of the way, so the hand overlay stays in view
+    this.elements.recordGestureBtn.addEventListener('click', () => {
+      try {
+        this.depthControl.cancelCalibration();
+        this.customGestures.startRecording(
+          this.elements.customGestureName.value,
+          this.elements.customGestureAction.value
+        );
+        this.hideGesturesModal();
+      } catch (error) {
+        this.elements.customGestureStatus.textContent = error.message;
+      }
+    });
+
+    const list = this.elements.customGestureList;
+    list.addEventListener('change', (e) => {
+      if (e.target.matches('select')) {
+        this.customGestures.setAction(e.target.closest('li').dataset.id, e.target.value);
+      }
+    });
+    list.addEventListener('click', (e) => {
+      const row = e.target.closest('li');
+      if (!e.target.matches('.custom-gesture-delete') || !row) return;
+      if (confirm(`Delete the gesture "${row.dataset.name}"?`)) {
+        this.customGestures.remove(row.dataset.id);
+      }
+    });
+
+    this.customGestures.subscribe((customGestures, { error, recorded }) => {
+      this.renderCustomGestureList();
+      this.updateHandPrompt();
+
+      if (error || recorded) {
+        this.elements.customGestureStatus.textContent = error ?? `Recorded "${recorded}".`;
+        if (recorded) this.elements.customGestureName.value = '';
+        this.showGesturesModal();
+      }
+    });
+    this.renderCustomGestureList();
+  }
+
+  renderCustomGestureList() {
+    const list = this.elements.customGestureList;
+    list.innerHTML = '';
+
+    for (const { id, name, action, sampleCount } of this.customGestures.getGestures()) {
+      const row = document.createElement('li');
+      row.className = 'custom-gesture-row';
+      row.dataset.id = id;
+      row.dataset.name = name;
+
+      const label = document.createElement('span');
+      label.className = 'custom-gesture-name';
+      label.textContent = name;
+      label.title = `${sampleCount} samples`;
+
+      const select = document.createElement('select');
+      for (const [value, { label: text }] of Object.entries(GESTURE_ACTIONS)) {
+        select.add(new Option(text, value, false, value === action));
+      }
+
+      const remove = document.createElement('button');
+      remove.className = 'btn custom-gesture-delete';
+      remove.textContent = 'DELETE';
+
+      row.append(label, select, remove);
+      list.appendChild(row);
+    }
+
+    if (!list.children.length) {
+      const empty = document.createElement('li');
+      empty.className = 'custom-gesture-empty';
+      empty.textContent = 'No custom gestures yet.';
+      list.appendChild(empty);
+    }
+  }
+
+  showGesturesModal() {
+    this.elements.gesturesModal.classList.add('active');
+  }
+
+  hideGesturesModal() {
+    this.elements.gesturesModal.classList.remove('active');
+  }
+
+  // One block id field per palette color; edits go straight into the block mapping
+  initBlockMapEditor() {
+    for (const block of MINECRAFT_COLOR_BLOCKS) {
+      const option = document.createElement('option');
+      option.value = block.id;
+      this.elements.minecraftBlocks.appendChild(option);
+    }
+
+    const list = this.elements.blockMapList;
+    list.addEventListener('change', (e) => {
+      const input = e.target;
+      const colorIndex = Number(input.dataset.colorIndex);
+      this.isEditingBlockMap = true;
+      try {
+        this.blockMapping.setBlock(colorIndex, input.value);
+      } catch (error) {
+        alert(error.message);
+      } finally {
+        this.isEditingBlockMap = false;
+      }
+      input.value = this.blockMapping.isOverridden(colorIndex) ? this.blockMapping.getBlock(colorIndex) : '';
+    });
+
+    this.palette.subscribe(() => this.renderBlockMapEditor());
+    // Rebuilding on our own edits would drop focus while tabbing through the fields
+    this.blockMapping.subscribe(() => {
+      if (!this.isEditingBlockMap) this.renderBlockMapEditor();
+    });
+    this.renderBlockMapEditor();
+  }
+
+  renderBlockMapEditor() {
+    const list = this.elements.blockMapList;
+    list.innerHTML = '';
+
+    this.palette.getColors().forEach((color, colorIndex) => {
+      const row = document.createElement('label');
+      row.className = 'block-map-row';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'block-map-swatch';
+      swatch.style.background = this.palette.getCSSColor(colorIndex);
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset.colorIndex = colorIndex;
+      input.setAttribute('list', 'minecraftBlocks');
+      input.placeholder = BlockMapping.getDefaultBlock(color);
+      input.value = this.blockMapping.isOverridden(colorIndex) ? this.blockMapping.getBlock(colorIndex) : '';
+
+      row.append(swatch, input);
+      list.appendChild(row);
+    });
+  }
+
+  initRenderDialog() {
+    this.rendering = false;
+    this.elements.turntableFrames.value = DEFAULT_TURNTABLE_FRAMES;
+    this.elements.turntableFps.value = DEFAULT_TURNTABLE_FPS;
+
+    this.elements.renderBtn.addEventListener('click', () => {
+      this.showRenderModal();
+    });
+
+    this.elements.closeRender.addEventListener('click', () => {
+      this.hideRenderModal();
+    });
+
+    this.elements.renderModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.renderModal) {
+        this.hideRenderModal();
+      }
+    });
+
+    const updateBackground = () => {
+      this.elements.renderBackgroundColor.disabled = this.elements.renderBackground.value !== 'solid';
+    };
+    this.elements.renderBackground.addEventListener('change', updateBackground);
+    updateBackground();
+
+    this.elements.renderImage.addEventListener('click', () => {
+      this.runRender(async (options) => {
+        this.elements.renderStatus.textContent = 'Rendering...';
+        await this.exportManager.renderImage(options);
+      });
+    });
+
+    this.elements.renderTurntable.addEventListener('click', () => {
+      this.runRender(async (options) => {
+        const frames = Number(this.elements.turntableFrames.value);
+        const fps = Number(this.elements.turntableFps.value);
+        if (!Number.isInteger(frames) || frames < 2 || frames > 360) {
+          throw new Error('Turntable frames must be a whole number from 2 to 360');
+        }
+        if (!(fps >= 1 && fps <= 50)) {
+          throw new Error('Turntable FPS must be between 1 and 50');
+        }
+
+        await this.exportManager.renderTurntable(
+          { ...options, frames, fps, format: this.elements.turntableFormat.value },
+          (done, total) => {
+            this.elements.renderStatus.textContent = `Frame ${done} / ${total}`;
+          }
+        );
+      });
+    });
+  }
+
+  // Read the shared render settings and run one render job, locking the dialog meanwhile
+  async runRender(job) {
+    if (this.rendering) return;
+
+    const options = {
+      width: Number(this.elements.renderWidth.value),
+      height: Number(this.elements.renderHeight.value),
+      supersample: Number(this.elements.renderSupersample.value),
+      background: this.elements.renderBackground.value === 'solid'
+        ? parseInt(this.elements.renderBackgroundColor.value.slice(1), 16)
+        : null,
+      helpers: this.elements.renderHelpers.checked,
+    };
+
+    this.rendering = true;
+    this.elements.renderImage.disabled = true;
+    this.elements.renderTurntable.disabled = true;
+    try {
+      await job(options);
+      this.elements.renderStatus.textContent = 'Done.';
+    } catch (error) {
+      console.error('Render failed:', error);
+      this.elements.renderStatus.textContent = '';
+      alert('Render failed: ' + error.message);
+    } finally {
+      this.rendering = false;
+      this.elements.renderImage.disabled = false;
+      this.elements.renderTurntable.disabled = false;
+    }
+  }
+
+  initViewControls() {
+    const container = this.elements.viewControls.querySelector('.view-buttons');
+    const viewButtons = new Map();
+
+    for (const [name, view] of Object.entries(CAMERA_VIEWS)) {
+      const button = document.createElement('button');
+      button.className = 'btn';
+      button.textContent = view.label.toUpperCase();
+      button.title = `${view.label} view (${view.key})`;
+      button.addEventListener('click', () => this.voxelRenderer.setCameraView(name));
+      container.appendChild(button);
+      viewButtons.set(name, button);
+    }
+
+    const update = ({ view, projection }) => {
+      for (const [name, button] of viewButtons) {
+        button.classList.toggle('active', name === view);
+      }
+      this.elements.projectionBtn.textContent = projection === PROJECTIONS.ORTHOGRAPHIC ? 'ORTHO' : 'PERSP';
+    };
+    update({ view: this.voxelRenderer.getCameraView(), projection: this.voxelRenderer.getProjection() });
+    this.voxelRenderer.subscribeCamera(update);
+
+    this.elements.projectionBtn.addEventListener('click', () => this.voxelRenderer.toggleProjection());
+
+    // Work plane: the button turns it through the axes
+    const updateWorkPlane = ({ axis, level }) => {
+      this.elements.planeBtn.textContent = `PLANE ${axis.toUpperCase()}=${level}`;
+    };
+    updateWorkPlane(this.voxelRenderer.getWorkPlane());
+    this.voxelRenderer.subscribeWorkPlane(updateWorkPlane);
+
+    const turnWorkPlane = () => {
+      const { axis } = this.voxelRenderer.getWorkPlane();
+      const next = WORK_PLANE_AXES[(WORK_PLANE_AXES.indexOf(axis) + 1) % WORK_PLANE_AXES.length];
+      this.voxelRenderer.setWorkPlaneAxis(next);
+    };
+    this.elements.planeBtn.addEventListener('click', turnWorkPlane);
+    this.elements.planeDownBtn.addEventListener('click', () => this.voxelRenderer.moveWorkPlane(-1));
+    this.elements.planeUpBtn.addEventListener('click', () => this.voxelRenderer.moveWorkPlane(1));
+
+    // Cross-section: the button steps through the axes, then off
+    const updateSlice = (slice) => {
+      this.elements.sliceBtn.textContent = slice ? `SLICE ${slice.axis.toUpperCase()}≤${slice.level}` : 'SLICE [OFF]';
+      this.elements.sliceBtn.classList.toggle('active', slice !== null);
+    };
+    updateSlice(this.voxelRenderer.getSlice());
+    this.voxelRenderer.subscribeSlice(updateSlice);
+
+    this.elements.sliceBtn.addEventListener('click', () => {
+      const slice = this.voxelRenderer.getSlice();
+      const next = slice ? SLICE_AXES[SLICE_AXES.indexOf(slice.axis) + 1] : SLICE_AXES[0];
+      if (next) {
+        this.voxelRenderer.toggleSlice(next);
+      } else {
+        this.voxelRenderer.setSlice(null);
+      }
+    });
+    this.elements.sliceDownBtn.addEventListener('click', () => this.voxelRenderer.moveSlice(-1));
+    this.elements.sliceUpBtn.addEventListener('click', () => this.voxelRenderer.moveSlice(1));
+
+    document.addEventListener('keydown', (event) => {
+      if (!this.is3DMode || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.target.closest?.('input, select, textarea')) return;
+
+      if (event.key === PROJECTION_TOGGLE_KEY) {
+        this.voxelRenderer.toggleProjection();
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === DEPTH_TOGGLE_KEY) {
+        this.depthControl.toggle();
+        return;
+      }
+      if (key === WORK_PLANE_AXIS_KEY) {
+        turnWorkPlane();
+        return;
+      }
+      if (event.key === WORK_PLANE_DOWN_KEY || event.key === WORK_PLANE_UP_KEY) {
+        event.preventDefault();
+        this.voxelRenderer.moveWorkPlane(event.key === WORK_PLANE_UP_KEY ? 1 : -1);
+        return;
+      }
+      if (SLICE_AXES.includes(key)) {
+        this.voxelRenderer.toggleSlice(key);
+        return;
+      }
+      if (event.key === SLICE_DOWN_KEY || event.key === SLICE_UP_KEY) {
+        this.voxelRenderer.moveSlice(event.key === SLICE_UP_KEY ? 1 : -1);
+        return;
+      }
+
+      const name = Object.keys(CAMERA_VIEWS).find((key) => CAMERA_VIEWS[key].key === event.key);
+      if (name) this.voxelRenderer.setCameraView(name);
+    });
+  }
+
+  initRenderStyleSelect() {
+    const select = this.elements.renderStyleSelect;
+
+    for (const [name, style] of Object.entries(RENDER_STYLES)) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = `STYLE: ${style.label.toUpperCase()}`;
+      select.appendChild(option);
+    }
+    select.value = this.voxelRenderer.getRenderStyle();
+
+    // Follow style changes made elsewhere (e.g. opening a project)
+    this.voxelRenderer.subscribeStyle((name) => {
+      select.value = name;
+    });
+
+    select.addEventListener('change', () => {
+      this.voxelRenderer.setRenderStyle(select.value);
+    });
+  }
+
+  initDepthControls() {
+    const update = (depthControl, { error } = {}) => {
+      const calibrating = depthControl.isCalibrating();
+      this.elements.depthBtn.textContent = depthControl.isEnabled() ? 'DEPTH [ON]' : 'DEPTH [OFF]';
+      this.elements.depthBtn.classList.toggle('active', depthControl.isEnabled());
+      this.elements.depthCalibrateBtn.textContent = calibrating ? 'CANCEL' : 'CAL';
+      this.updateHandPrompt();
+
+      if (!depthControl.isEnabled()) this.voxelRenderer.setDepthGuide(null);
+      if (error) alert(error);
+    };
+    update(this.depthControl);
+    this.depthControl.subscribe(update);
+
+    this.elements.depthBtn.addEventListener('click', () => this.depthControl.toggle());
+
+    this.elements.depthCalibrateBtn.addEventListener('click', () => {
+      if (this.depthControl.isCalibrating()) {
+        this.depthControl.cancelCalibration();
+        return;
+      }
+      this.customGestures.cancelRecording();
+      this.depthControl.setEnabled(true);
+      this.depthControl.startCalibration();
+    });
+  }
+
+  // Depth calibration or gesture recording instructions (with countdown); refreshed
+  // every tracking frame while either runs
+  updateHandPrompt() {
+    const prompt = this.customGestures.getRecordingPrompt() ?? this.depthControl.getCalibrationPrompt();
+    this.elements.handPrompt.classList.toggle('active', prompt !== null);
+    this.elements.handPrompt.textContent = prompt ?? '';
+  }
+
+  initDominantHandSelect() {
+    const select = this.elements.dominantHandSelect;
+
+    for (const hand of Object.values(HANDS)) {
+      const option = document.createElement('option');
+      option.value = hand;
+      option.textContent = `${hand.toUpperCase()}-HANDED`;
+      select.appendChild(option);
+    }
+
+    select.value = this.handTracker.getDominantHand();
+
+    select.addEventListener('change', () => {
+      Settings.set('dominantHand', select.value);
+      this.handTracker.setDominantHand(select.value);
+    });
+  }
+
+  initGridSizeSelect() {
+    const select = this.elements.gridSizeSelect;
+
+    for (const size of GRID_SIZE_OPTIONS) {
+      const option = document.createElement('option');
+      option.value = size;
+      option.textContent = `GRID ${size}³`;
+      select.appendChild(option);
+    }
+    select.value = this.voxelWorld.getBounds().x;
+
+    // Follow bounds changes made elsewhere (e.g. an import growing the grid)
+    this.voxelWorld.subscribeBounds((bounds) => {
+      select.value = bounds.x;
+    });
+
+    select.addEventListener('change', () => {
+      const size = Number(select.value);
+      const outside = this.voxelWorld.countOutside(size);
+
+      if (outside > 0 && !confirm(`Shrinking the grid removes ${outside} voxel(s). Continue?`)) {
+        select.value = this.voxelWorld.getBounds().x;
+        return;
+      }
+
+      this.voxelWorld.setBounds(size);
+    });
+  }
+
+  initProjectFiles() {
+    const input = this.elements.openInput;
+    input.accept = PROJECT_EXTENSION;
+
+    // Autosave failures stay on the HUD until a save works again
+    this.autosave.subscribe(({ error }) => {
+      const status = this.elements.saveStatus;
+      status.textContent = error ? 'FAILED' : 'LOCAL';
+      status.title = error ? `Autosave failed, retrying: ${error.message}` : '';
+      status.classList.toggle('text-warn', Boolean(error));
+    });
+
+    this.elements.saveBtn.addEventListener('click', () => {
+      this.projectManager.save();
+    });
+
+    this.elements.openBtn.addEventListener('click', () => {
+      input.click();
+    });
+
+    input.addEventListener('change', () => {
+      if (input.files.length > 0) {
+        this.openProject(input.files[0]);
+      }
+      input.value = '';
+    });
+  }
+
+  async openProject(file) {
+    // With autosave the current project stays in the gallery; without it, it would be lost
+    if (
+      this.autosave.error &&
+      this.voxelWorld.getCount() > 0 &&
+      !confirm('Opening a project replaces the current model. Continue?')
+    ) {
+      return;
+    }
+
+    try {
+      await this.switchProject(() => this.projectManager.open(file));
+
+      // Opened files become new gallery entries
+      this.autosave.saveNow();
+    } catch (error) {
+      console.error('Open project error:', error);
+      alert('Failed to open project: ' + error.message);
+    }
+  }
+
+  async restoreLastSession() {
+    try {
+      const latest = await this.projectStore.getLatest();
+      if (latest && confirm(`Restore your last session "${latest.name}"?`)) {
+        await this.projectManager.openRecord(latest);
+      }
+    } catch (error) {
+      console.warn('Could not restore last session:', error);
+    }
+  }
+
+  async copyShareLink() {
+    let url;
+    try {
+      url = ShareLink.createURL(this.voxelWorld, this.palette);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Share link copied to clipboard.');
+    } catch {
+      // Clipboard access can be denied; let the user copy it by hand
+      prompt('Copy this share link:', url);
+    }
+    this.hideExportModal();
+  }
+
+  // Open a model from a #model= link in the address bar; returns true if one was opened
+  async openShareLink() {
+    const encoded = ShareLink.readHash(location.hash);
+    if (!encoded) return false;
+
+    // Drop the hash so a reload doesn't open the model again
+    history.replaceState(null, '', location.pathname + location.search);
+
+    try {
+      const model = ShareLink.decode(encoded);
+      await this.switchProject(() => this.projectManager.openShared(model));
+    } catch (error) {
+      console.error('Share link error:', error);
+      alert('Failed to open share link: ' + error.message);
+      return false;
+    }
+
+    if (!this.is3DMode) {
+      this.toggleMode();
+    }
+
+    // Shared models become new gallery entries
+    this.autosave.saveNow();
+    return true;
+  }
+
+  // Store the open project's pending edits before another project replaces it
+  async switchProject(load) {
+    this.historyManager.endStep();
+    await this.autosave.flush();
+    await load();
+  }
+
+  async openStoredProject(record) {
+    if (record.id !== this.projectManager.projectId) {
+      try {
+        // The listed record may be stale, so load the stored copy
+        const stored = await this.projectStore.get(record.id);
+        await this.switchProject(() => this.projectManager.openRecord(stored));
+      } catch (error) {
+        console.error('Open project error:', error);
+        alert('Failed to open project: ' + error.message);
+        return;
+      }
+    }
+    this.hideGallery();
+  }
+
+  initImport() {
+    const input = this.elements.importInput;
+    input.accept = this.importManager.getAcceptedExtensions().join(',');
+
+    this.elements.importBtn.addEventListener('click', () => {
+      input.click();
+    });
+
+    input.addEventListener('change', () => {
+      if (input.files.length > 0) {
+        this.importFile(input.files[0]);
+      }
+      input.value = '';
+    });
+
+    // The canvas panel ignores pointer events so hands and UI stay usable;
+    // listen on the window and highlight the 3D canvas while dragging
+    window.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.elements.canvasPanel.classList.add('drop-target');
+    });
+
+    window.addEventListener('dragleave', (e) => {
+      if (!e.relatedTarget) {
+        this.elements.canvasPanel.classList.remove('drop-target');
+      }
+    });
+
+    window.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.elements.canvasPanel.classList.remove('drop-target');
+      if (e.dataTransfer.files.length > 0) {
+        this.importFile(e.dataTransfer.files[0]);
+      }
+    });
+  }
+
+  async importFile(file) {
+    // Project files dropped on the window are opened rather than imported
+    if (file.name.toLowerCase().endsWith(PROJECT_EXTENSION)) {
+      await this.openProject(file);
+      return;
+    }
+
+    try {
+      const result = await this.importManager.importFile(file);
+
+      // Imported models are 3D, so show them
+      if (!this.is3DMode) {
+        this.toggleMode();
+      }
+
+      if (result.modelCount > 1) {
+        alert(`${file.name} contains ${result.modelCount} models; only the first was imported.`);
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      alert('Failed to import: ' + error.message);
+    }
   }
 
   getGestureDisplayName(gesture) {
@@ -280,6 +1246,10 @@ class App {
       [GESTURES.PEACE]: 'PEACE SIGN',
       [GESTURES.SWIPE_LEFT]: 'SWIPE LEFT',
       [GESTURES.SWIPE_RIGHT]: 'SWIPE RIGHT',
+      [GESTURES.SWIPE_UP]: 'SWIPE UP',
+      [GESTURES.SWIPE_DOWN]: 'SWIPE DOWN',
+      [GESTURES.TWO_PINCH]: 'TWO PINCHES',
+      [GESTURES.TWO_FIST]: 'TWO FISTS',
     };
     return names[gesture] || gesture;
   }
@@ -293,6 +1263,7 @@ class App {
   }
 
   showExportModal() {
+    this.elements.projectName.value = this.projectManager.getName();
     this.elements.exportModal.classList.add('active');
   }
 
@@ -300,6 +1271,37 @@ class App {
     this.elements.exportModal.classList.remove('active');
   }
 
+  showRenderModal() {
+    // Default to the size of the view on screen
+    if (!this.elements.renderWidth.value) {
+      const canvas = this.elements.threeCanvas;
+      this.elements.renderWidth.value = canvas.clientWidth;
+      this.elements.renderHeight.value = canvas.clientHeight;
+    }
+
+    const maxSize = this.exportManager.renderCapture.getMaxSize(1);
+    this.elements.renderWidth.max = maxSize;
+    this.elements.renderHeight.max = maxSize;
+
+    if (!this.rendering) this.elements.renderStatus.textContent = '';
+    this.elements.renderModal.classList.add('active');
+  }
+
+  hideRenderModal() {
+    this.elements.renderModal.classList.remove('active');
+  }
+
+  async showGallery() {
+    // Store the open project first so its card is up to date
+    await this.autosave.flush();
+    await this.projectGallery.render();
+    this.elements.galleryModal.classList.add('active');
+  }
+
+  hideGallery() {
+    this.elements.galleryModal.classList.remove('active');
+  }
+
   hideLoading() {
     this.elements.loadingOverlay.classList.add('hidden');
     setTimeout(() => {
@@ -0,0 +1,155 @@
+import { AUTOSAVE_INTERVAL, THUMBNAIL_SIZE } from '../utils/constants.js';
+import { ProjectFormat } from './ProjectFormat.js';
+import { RenderCapture } from '../export/RenderCapture.js';
+
+// Keeps the open project in the ProjectStore: right after each committed edit
+// (history step, finished 2D stroke) and every AUTOSAVE_INTERVAL for anything else.
+export class Autosave {
+  constructor(projectManager, projectStore, interval = AUTOSAVE_INTERVAL) {
+    this.projectManager = projectManager;
+    this.projectStore = projectStore;
+    this.interval = interval;
+    this.renderCapture = new RenderCapture(projectManager.voxelRenderer);
+
+    this.isDirty = false;
+    this.savePromise = null;
+    this.saveQueued = false;
+    this.error = null; // Set while the latest save failed; cleared by the next one that works
+    this.timer = null;
+    this.listeners = new Set();
+  }
+
+  start() {
+    const { voxelWorld, palette, historyManager, canvas2dRenderer, voxelRenderer, blockMapping } = this.projectManager;
+    const markDirty = () => {
+      this.isDirty = true;
+    };
+
+    voxelWorld.subscribe(markDirty);
+    voxelWorld.subscribeBounds(markDirty);
+    palette.subscribe(markDirty);
+    voxelRenderer.subscribeStyle(markDirty);
+    blockMapping.subscribe(markDirty);
+
+    // Committed gestures are saved straight away
+    historyManager.subscribe(() => this.saveNow());
+    canvas2dRenderer.subscribe(() => {
+      markDirty();
+      this.saveNow();
+    });
+
+    this.projectManager.subscribe((projectManager, reason) => {
+      if (reason === 'load') {
+        // Freshly loaded projects match what is stored (or are saved explicitly)
+        this.isDirty = false;
+      } else {
+        this.saveNow();
+      }
+    });
+
+    this.timer = setInterval(() => {
+      if (this.isDirty) this.saveNow();
+    }, this.interval);
+
+    // Catch edits made just before the tab is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Save now; overlapping calls are coalesced into one follow-up save
+  saveNow() {
+    // Edits made while a project loads belong to the incoming project
+    if (this.projectManager.isLoading) return Promise.resolve();
+
+    if (this.savePromise) {
+      this.saveQueued = true;
+      return this.savePromise;
+    }
+
+    this.savePromise = this.save()
+      .then(() => this.setError(null))
+      .catch((error) => {
+        // Storage can be unavailable (private browsing, quota); the edits stay dirty and
+        // the interval retries them
+        console.warn('Autosave failed:', error);
+        this.setError(error);
+      })
+      .finally(() => {
+        this.savePromise = null;
+        if (this.saveQueued) {
+          this.saveQueued = false;
+          this.saveNow();
+        }
+      });
+
+    return this.savePromise;
+  }
+
+  // Save pending edits, e.g. before switching projects
+  async flush() {
+    if (this.isDirty) await this.saveNow();
+    if (this.savePromise) await this.savePromise;
+  }
+
+  async save() {
+    const projectManager = this.projectManager;
+    const state = projectManager.captureState();
+
+    // Don't fill the gallery with untouched blank projects
+    if (projectManager.projectId === null && state.voxels.length === 0 && !state.canvas2d) {
+      this.isDirty = false;
+      return;
+    }
+
+    this.isDirty = false;
+    if (projectManager.projectId === null) {
+      projectManager.projectId = this.projectStore.createId();
+    }
+
+    try {
+      await this.projectStore.put({
+        id: projectManager.projectId,
+        name: state.metadata.name,
+        createdAt: state.metadata.createdAt,
+        modifiedAt: state.metadata.modifiedAt,
+        voxelCount: state.voxels.length,
+        thumbnail: this.captureThumbnail(),
+        data: ProjectFormat.serialize(state),
+      });
+    } catch (error) {
+      this.isDirty = true;
+      throw error;
+    }
+  }
+
+  setError(error) {
+    if (error === this.error) return;
+    this.error = error;
+    this.notifyListeners();
+  }
+
+  // Subscribe to save failures and recoveries
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    for (const listener of this.listeners) {
+      listener(this);
+    }
+  }
+
+  // Small offscreen render for the gallery card; saves follow every committed edit, so
+  // the live canvas must not be resized for them
+  captureThumbnail() {
+    const canvas = this.renderCapture.renderImage({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, helpers: true });
+    return canvas.toDataURL('image/png');
+  }
+}
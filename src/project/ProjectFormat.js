@@ -0,0 +1,150 @@
+import { COLORS, GRID_SIZE, MAX_GRID_SIZE, MAX_PALETTE_SIZE, PROJECTIONS } from '../utils/constants.js';
+import { RENDER_STYLES, DEFAULT_RENDER_STYLE } from '../core/RenderStyles.js';
+import { BlockMapping } from '../export/BlockMapping.js';
+
+// Native project files (.gvox): UTF-8 JSON
+//
+// {
+//   format: 'gvox', version,
+//   metadata: { name, createdAt, modifiedAt },
+//   bounds: { x, y, z },
+//   palette: [0xRRGGBB, ...],
+//   voxels: [[x, y, z, colorIndex], ...],
+//   camera: { angleX, angleY, distance, projection? } | null,
+//   canvas2d: PNG data URL | null,
+//   renderStyle: key of RENDER_STYLES,          (v2)
+//   blockMap: [[0xRRGGBB, blockState], ...],    (v3) Minecraft blocks chosen per color
+// }
+//
+// Older files are upgraded step by step in migrate(); bump PROJECT_VERSION and add
+// a migration whenever the layout changes.
+
+export const PROJECT_FORMAT = 'gvox';
+export const PROJECT_VERSION = 3;
+export const PROJECT_EXTENSION = '.gvox';
+export const DEFAULT_PROJECT_NAME = 'Voxel Creation';
+
+export class ProjectFormat {
+  static serialize(project) {
+    return JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, ...project });
+  }
+
+  // Parse, upgrade and validate file contents; throws with a readable message
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('File is not a valid project (malformed JSON)');
+    }
+
+    const project = ProjectFormat.migrate(data);
+    ProjectFormat.validate(project);
+    return project;
+  }
+
+  // Upgrade any supported older layout to PROJECT_VERSION
+  static migrate(data) {
+    // Version 0: a bare voxel list as produced by VoxelWorld.toJSON()
+    if (Array.isArray(data)) {
+      data = {
+        format: PROJECT_FORMAT,
+        version: 1,
+        metadata: { name: DEFAULT_PROJECT_NAME },
+        bounds: { x: GRID_SIZE, y: GRID_SIZE, z: GRID_SIZE },
+        palette: [...COLORS],
+        voxels: data.map((voxel) => [voxel.x, voxel.y, voxel.z, voxel.colorIndex]),
+        camera: null,
+        canvas2d: null,
+      };
+    }
+
+    if (!data || typeof data !== 'object' || data.format !== PROJECT_FORMAT) {
+      throw new Error('File is not a Gesture Voxel Editor project');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error('Project has an invalid version');
+    }
+    if (data.version > PROJECT_VERSION) {
+      throw new Error(`Project was saved by a newer version of the editor (v${data.version})`);
+    }
+
+    // Version 1 -> 2: render styles; older projects were all drawn in the cyber look
+    if (data.version === 1) {
+      data = { ...data, version: 2, renderStyle: DEFAULT_RENDER_STYLE };
+    }
+
+    // Version 2 -> 3: schematic block choices; none were made before
+    if (data.version === 2) {
+      data = { ...data, version: 3, blockMap: [] };
+    }
+
+    return data;
+  }
+
+  static validate(project) {
+    const fail = (message) => {
+      throw new Error(`Invalid project: ${message}`);
+    };
+    const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    const { bounds, palette, voxels, camera, canvas2d, renderStyle, blockMap, metadata } = project;
+
+    if (!metadata || typeof metadata !== 'object') fail('missing metadata');
+    if (metadata.name !== undefined && typeof metadata.name !== 'string') fail('name must be text');
+
+    if (!bounds || !['x', 'y', 'z'].every((axis) => isInt(bounds[axis], 1, MAX_GRID_SIZE))) {
+      fail(`grid bounds must be whole numbers from 1 to ${MAX_GRID_SIZE}`);
+    }
+
+    if (!Array.isArray(palette) || palette.length === 0 || palette.length > MAX_PALETTE_SIZE) {
+      fail(`palette must hold 1 to ${MAX_PALETTE_SIZE} colors`);
+    }
+    if (!palette.every((color) => isInt(color, 0, 0xffffff))) {
+      fail('palette colors must be 0xRRGGBB numbers');
+    }
+
+    if (!Array.isArray(voxels)) fail('missing voxel list');
+    voxels.forEach((voxel, i) => {
+      if (
+        !Array.isArray(voxel) || voxel.length !== 4 ||
+        !isInt(voxel[0], 0, bounds.x - 1) ||
+        !isInt(voxel[1], 0, bounds.y - 1) ||
+        !isInt(voxel[2], 0, bounds.z - 1) ||
+        !isInt(voxel[3], 0, palette.length - 1)
+      ) {
+        fail(`voxel ${i} is outside the grid or uses an unknown color`);
+      }
+    });
+
+    if (camera !== null && camera !== undefined) {
+      if (!['angleX', 'angleY', 'distance'].every((key) => Number.isFinite(camera[key]))) {
+        fail('camera pose must be numeric');
+      }
+      if (camera.projection !== undefined && !Object.values(PROJECTIONS).includes(camera.projection)) {
+        fail(`unknown camera projection "${camera.projection}"`);
+      }
+    }
+
+    if (canvas2d !== null && canvas2d !== undefined) {
+      if (typeof canvas2d !== 'string' || !canvas2d.startsWith('data:image/')) {
+        fail('2D canvas must be an image data URL');
+      }
+    }
+
+    if (!Object.hasOwn(RENDER_STYLES, renderStyle)) {
+      fail(`unknown render style "${renderStyle}"`);
+    }
+
+    if (!Array.isArray(blockMap)) fail('missing block map');
+    blockMap.forEach((entry, i) => {
+      if (
+        !Array.isArray(entry) || entry.length !== 2 ||
+        !isInt(entry[0], 0, 0xffffff) ||
+        typeof entry[1] !== 'string' || !BlockMapping.isValidId(entry[1])
+      ) {
+        fail(`block map entry ${i} must pair a color with a block id`);
+      }
+    });
+  }
+}
@@ -0,0 +1,164 @@
+import { COLORS, GRID_SIZE } from '../utils/constants.js';
+import { ProjectFormat, PROJECT_EXTENSION, DEFAULT_PROJECT_NAME } from './ProjectFormat.js';
+import { downloadFile } from '../utils/download.js';
+
+export class ProjectManager {
+  constructor(voxelWorld, palette, voxelRenderer, canvas2dRenderer, historyManager, blockMapping) {
+    this.voxelWorld = voxelWorld;
+    this.palette = palette;
+    this.voxelRenderer = voxelRenderer;
+    this.canvas2dRenderer = canvas2dRenderer;
+    this.historyManager = historyManager;
+    this.blockMapping = blockMapping;
+
+    this.metadata = this.createMetadata();
+
+    // Id of the local gallery record (ProjectStore); null until first stored
+    this.projectId = null;
+    this.isLoading = false;
+    this.listeners = new Set();
+  }
+
+  createMetadata(name = DEFAULT_PROJECT_NAME) {
+    const now = new Date().toISOString();
+    return { name, createdAt: now, modifiedAt: now };
+  }
+
+  getName() {
+    return this.metadata.name;
+  }
+
+  setName(name) {
+    this.metadata.name = name.trim() || DEFAULT_PROJECT_NAME;
+    this.notifyListeners('rename');
+  }
+
+  // File name derived from the project name, e.g. "My Castle" -> "my-castle.gvox"
+  getFileName() {
+    const slug = this.metadata.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return (slug || 'voxel-creation') + PROJECT_EXTENSION;
+  }
+
+  // Snapshot of everything a project file holds
+  captureState() {
+    return {
+      metadata: { ...this.metadata, modifiedAt: new Date().toISOString() },
+      bounds: this.voxelWorld.getBounds(),
+      palette: this.palette.getColors(),
+      voxels: this.voxelWorld.getAllVoxels().map((voxel) => [voxel.x, voxel.y, voxel.z, voxel.colorIndex]),
+      camera: this.voxelRenderer.getCameraState(),
+      canvas2d: this.canvas2dRenderer.toDataURL(),
+      renderStyle: this.voxelRenderer.getRenderStyle(),
+      blockMap: this.blockMapping.toJSON(),
+    };
+  }
+
+  // Replace the editor state with a parsed project; history starts fresh
+  async applyState(project, projectId = null) {
+    this.isLoading = true;
+    try {
+      await this.replaceState(project);
+    } finally {
+      this.isLoading = false;
+    }
+
+    this.metadata = { ...this.createMetadata(), ...project.metadata };
+    this.projectId = projectId;
+    this.notifyListeners('load');
+  }
+
+  async replaceState(project) {
+    this.historyManager.endStep();
+
+    // Palette first: its listeners rebuild from the world, which must not be mid-batch
+    this.palette.setColors(project.palette);
+    this.voxelWorld.batch((world) => {
+      world.clear();
+      world.setBounds(project.bounds);
+      for (const [x, y, z, colorIndex] of project.voxels) {
+        world.addVoxel(x, y, z, colorIndex);
+      }
+    });
+    this.historyManager.clear();
+
+    // Bounds changes reset the camera, so restore the pose afterwards
+    if (project.camera) {
+      this.voxelRenderer.setCameraState(project.camera);
+    }
+    if (project.renderStyle) {
+      this.voxelRenderer.setRenderStyle(project.renderStyle);
+    }
+    this.blockMapping.fromJSON(project.blockMap);
+
+    this.canvas2dRenderer.clear();
+    if (project.canvas2d) {
+      await this.canvas2dRenderer.loadDataURL(project.canvas2d);
+    }
+  }
+
+  // Start an empty project with the default grid and palette (keeping the render style
+  // and block choices)
+  newProject() {
+    return this.applyState({
+      metadata: this.createMetadata(),
+      bounds: { x: GRID_SIZE, y: GRID_SIZE, z: GRID_SIZE },
+      palette: [...COLORS],
+      voxels: [],
+      camera: null,
+      canvas2d: null,
+      renderStyle: this.voxelRenderer.getRenderStyle(),
+      blockMap: this.blockMapping.toJSON(),
+    });
+  }
+
+  // Download the current project as a .gvox file
+  save() {
+    const state = this.captureState();
+    this.metadata.modifiedAt = state.metadata.modifiedAt;
+
+    downloadFile(ProjectFormat.serialize(state), this.getFileName(), 'application/json');
+  }
+
+  // Load a .gvox File as a new local project; throws if it fails validation
+  async open(file) {
+    const project = ProjectFormat.parse(await file.text());
+    await this.applyState(project);
+    return project;
+  }
+
+  // Load a model decoded from a share link as a new local project
+  openShared({ bounds, palette, voxels }) {
+    const project = {
+      metadata: this.createMetadata('Shared Model'),
+      bounds,
+      palette,
+      voxels,
+      camera: null,
+      canvas2d: null,
+      renderStyle: this.voxelRenderer.getRenderStyle(),
+      blockMap: this.blockMapping.toJSON(),
+    };
+    ProjectFormat.validate(project);
+    return this.applyState(project);
+  }
+
+  // Load a ProjectStore record; the record's name wins over the one inside its data
+  async openRecord(record) {
+    const project = ProjectFormat.parse(record.data);
+    project.metadata = { ...project.metadata, name: record.name };
+    await this.applyState(project, record.id);
+    return project;
+  }
+
+  // Subscribe to project switches ('load') and renames ('rename')
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(reason) {
+    for (const listener of this.listeners) {
+      listener(this, reason);
+    }
+  }
+}
@@ -0,0 +1,98 @@
+// Local project storage in IndexedDB, so projects survive reloads without a server.
+//
+// Each record is { id, name, createdAt, modifiedAt, voxelCount, thumbnail, data }
+// where data is the serialized .gvox project and thumbnail a small image data URL.
+
+const DB_NAME = 'gesture-voxel-editor';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+// Wrap an IDBRequest (or transaction) in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    if (request instanceof IDBTransaction) {
+      request.oncomplete = () => resolve();
+      request.onabort = request.onerror = () => reject(request.error);
+    } else {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+export class ProjectStore {
+  constructor() {
+    this.db = null;
+  }
+
+  // Open (and on first use create) the database
+  async open() {
+    if (this.db) return this.db;
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available');
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('modifiedAt', 'modifiedAt');
+    };
+
+    this.db = await promisify(request);
+    return this.db;
+  }
+
+  async transaction(mode, fn) {
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = fn(tx.objectStore(STORE_NAME));
+    await promisify(tx);
+    return result instanceof IDBRequest ? result.result : result;
+  }
+
+  createId() {
+    return crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  // All records, most recently modified first
+  async list() {
+    const records = await this.transaction('readonly', (store) => store.getAll());
+    return records.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  // The most recently modified record, or null
+  async getLatest() {
+    const [latest] = await this.list();
+    return latest || null;
+  }
+
+  get(id) {
+    return this.transaction('readonly', (store) => store.get(id));
+  }
+
+  put(record) {
+    return this.transaction('readwrite', (store) => store.put(record));
+  }
+
+  delete(id) {
+    return this.transaction('readwrite', (store) => store.delete(id));
+  }
+
+  async rename(id, name) {
+    const record = await this.get(id);
+    if (!record) throw new Error('Project not found');
+
+    await this.put({ ...record, name, modifiedAt: new Date().toISOString() });
+  }
+
+  // Copy a record under a new id, returning the copy
+  async duplicate(id) {
+    const record = await this.get(id);
+    if (!record) throw new Error('Project not found');
+
+    const now = new Date().toISOString();
+    const copy = { ...record, id: this.createId(), name: `${record.name} copy`, createdAt: now, modifiedAt: now };
+    await this.put(copy);
+    return copy;
+  }
+}
@@ -0,0 +1,188 @@
+import { MAX_SHARE_HASH_LENGTH } from '../utils/constants.js';
+
+// Models packed into a URL hash (#model=...), so small builds can be shared without a file.
+//
+// Binary layout (all sizes stored minus one so 256 fits in a byte):
+//   version
+//   grid bounds x, y, z
+//   palette length, then r, g, b per color
+//   occupied box min x, y, z and size x, y, z
+//   runs over the box in x, then z, then y order: varint length, cell value
+//   (0 = empty, otherwise colorIndex + 1)
+// The bytes are then base64url encoded.
+
+const SHARE_VERSION = 1;
+const HASH_PREFIX = '#model=';
+
+export class ShareLink {
+  // Build a full URL for the current page that opens the given model
+  static createURL(voxelWorld, palette, baseURL = location.href) {
+    const hash = HASH_PREFIX + ShareLink.encode(voxelWorld, palette);
+    if (hash.length > MAX_SHARE_HASH_LENGTH) {
+      throw new Error(
+        `This model is too large for a share link (${hash.length} characters, limit ${MAX_SHARE_HASH_LENGTH}). ` +
+        'Save a project file instead.'
+      );
+    }
+
+    return baseURL.split('#')[0] + hash;
+  }
+
+  // Extract the encoded model from a location hash, or null if there is none
+  static readHash(hash) {
+    return hash.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) : null;
+  }
+
+  static encode(voxelWorld, palette) {
+    const bytes = [SHARE_VERSION];
+    const bounds = voxelWorld.getBounds();
+    bytes.push(bounds.x - 1, bounds.y - 1, bounds.z - 1);
+
+    const colors = palette.getColors();
+    bytes.push(colors.length - 1);
+    for (const color of colors) {
+      bytes.push((color >> 16) & 255, (color >> 8) & 255, color & 255);
+    }
+
+    const voxels = voxelWorld.getAllVoxels();
+    if (voxels.length === 0) {
+      return ShareLink.toBase64Url(new Uint8Array(bytes));
+    }
+
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const voxel of voxels) {
+      for (const axis of ['x', 'y', 'z']) {
+        min[axis] = Math.min(min[axis], voxel[axis]);
+        max[axis] = Math.max(max[axis], voxel[axis]);
+      }
+    }
+    const size = { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+    bytes.push(min.x, min.y, min.z, size.x - 1, size.y - 1, size.z - 1);
+
+    // Layers bottom-up: most builds have long empty or solid stretches per row
+    let runValue = -1;
+    let runLength = 0;
+    const flush = () => {
+      if (runLength > 0) {
+        ShareLink.writeVarint(bytes, runLength);
+        bytes.push(runValue);
+      }
+    };
+
+    for (let y = 0; y < size.y; y++) {
+      for (let z = 0; z < size.z; z++) {
+        for (let x = 0; x < size.x; x++) {
+          const value = voxelWorld.getColorIndex(min.x + x, min.y + y, min.z + z) + 1;
+          if (value === runValue) {
+            runLength++;
+          } else {
+            flush();
+            runValue = value;
+            runLength = 1;
+          }
+        }
+      }
+    }
+    flush();
+
+    return ShareLink.toBase64Url(new Uint8Array(bytes));
+  }
+
+  // Decode into { bounds, palette, voxels: [[x, y, z, colorIndex], ...] }
+  static decode(encoded) {
+    const damaged = () => new Error('The share link is damaged or incomplete');
+
+    let bytes;
+    try {
+      bytes = ShareLink.fromBase64Url(encoded);
+    } catch {
+      throw damaged();
+    }
+
+    let offset = 0;
+    const read = () => {
+      if (offset >= bytes.length) throw damaged();
+      return bytes[offset++];
+    };
+
+    const version = read();
+    if (version !== SHARE_VERSION) {
+      throw new Error(`Unsupported share link version (${version})`);
+    }
+
+    const bounds = { x: read() + 1, y: read() + 1, z: read() + 1 };
+    const paletteSize = read() + 1;
+    const palette = [];
+    for (let i = 0; i < paletteSize; i++) {
+      palette.push((read() << 16) | (read() << 8) | read());
+    }
+
+    const voxels = [];
+    if (offset === bytes.length) {
+      return { bounds, palette, voxels };
+    }
+
+    const min = { x: read(), y: read(), z: read() };
+    const size = { x: read() + 1, y: read() + 1, z: read() + 1 };
+    if (min.x + size.x > bounds.x || min.y + size.y > bounds.y || min.z + size.z > bounds.z) {
+      throw damaged();
+    }
+
+    const total = size.x * size.y * size.z;
+    let cell = 0;
+    while (cell < total) {
+      const runLength = ShareLink.readVarint(read);
+      const value = read();
+      if (runLength === 0 || cell + runLength > total || value > paletteSize) {
+        throw damaged();
+      }
+
+      if (value > 0) {
+        for (let i = cell; i < cell + runLength; i++) {
+          const x = i % size.x;
+          const z = Math.floor(i / size.x) % size.z;
+          const y = Math.floor(i / (size.x * size.z));
+          voxels.push([min.x + x, min.y + y, min.z + z, value - 1]);
+        }
+      }
+      cell += runLength;
+    }
+
+    return { bounds, palette, voxels };
+  }
+
+  // Unsigned LEB128
+  static writeVarint(bytes, value) {
+    while (value >= 0x80) {
+      bytes.push((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+  }
+
+  static readVarint(read) {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < 5; i++) {
+      const byte = read();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 128;
+    }
+    throw new Error('The share link is damaged or incomplete');
+  }
+
+  static toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+}
@@ -1,8 +1,7 @@
-import { COLORS } from '../utils/constants.js';
-
 export class ColorPalette {
-  constructor(containerElement, onColorSelect) {
+  constructor(containerElement, palette, onColorSelect) {
     this.container = containerElement;
+    this.palette = palette;
     this.onColorSelect = onColorSelect;
     this.currentIndex = 0;
 
@@ -10,17 +9,29 @@ export class ColorPalette {
   }
 
   init() {
+    this.render();
+
+    // Rebuild swatches when colors are added or replaced (e.g. on import)
+    this.palette.subscribe(() => this.render());
+  }
+
+  render() {
     const colorsContainer = this.container.querySelector('.palette-colors');
     if (!colorsContainer) return;
 
+    colorsContainer.innerHTML = '';
+    if (this.currentIndex >= this.palette.size()) {
+      this.currentIndex = 0;
+    }
+
     // Create color swatches
-    COLORS.forEach((color, index) => {
+    this.palette.getColors().forEach((color, index) => {
       const swatch = document.createElement('div');
       swatch.className = 'color-swatch';
-      if (index === 0) swatch.classList.add('active');
+      if (index === this.currentIndex) swatch.classList.add('active');
 
       // Convert hex to CSS color
-      const cssColor = '#' + color.toString(16).padStart(6, '0');
+      const cssColor = this.palette.getCSSColor(index);
       swatch.style.backgroundColor = cssColor;
       swatch.style.boxShadow = `0 0 8px ${cssColor}40`;
 
@@ -0,0 +1,109 @@
+export class ProjectGallery {
+  constructor(containerElement, projectStore, projectManager, onOpen) {
+    this.container = containerElement;
+    this.projectStore = projectStore;
+    this.projectManager = projectManager;
+    this.onOpen = onOpen;
+  }
+
+  // Rebuild the card list from the store
+  async render() {
+    let records;
+    try {
+      records = await this.projectStore.list();
+    } catch (error) {
+      console.error('Gallery error:', error);
+      this.container.innerHTML = '<p class="gallery-empty">Local storage is unavailable in this browser.</p>';
+      return;
+    }
+
+    this.container.innerHTML = '';
+    if (records.length === 0) {
+      this.container.innerHTML = '<p class="gallery-empty">No saved projects yet. Projects are saved automatically as you build.</p>';
+      return;
+    }
+
+    for (const record of records) {
+      this.container.appendChild(this.createCard(record));
+    }
+  }
+
+  createCard(record) {
+    const isCurrent = record.id === this.projectManager.projectId;
+
+    const card = document.createElement('div');
+    card.className = 'gallery-card';
+    card.classList.toggle('current', isCurrent);
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'gallery-thumbnail';
+    thumbnail.alt = record.name;
+    if (record.thumbnail) thumbnail.src = record.thumbnail;
+    thumbnail.addEventListener('click', () => this.onOpen(record));
+
+    const name = document.createElement('div');
+    name.className = 'gallery-name';
+    name.textContent = isCurrent ? `${record.name} (open)` : record.name;
+
+    const info = document.createElement('div');
+    info.className = 'gallery-info';
+    info.textContent = `${record.voxelCount} voxels · ${new Date(record.modifiedAt).toLocaleString()}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'gallery-actions';
+    actions.append(
+      this.createButton('OPEN', () => this.onOpen(record)),
+      this.createButton('RENAME', () => this.rename(record)),
+      this.createButton('COPY', () => this.duplicate(record)),
+      this.createButton('DELETE', () => this.delete(record), isCurrent)
+    );
+
+    card.append(thumbnail, name, info, actions);
+    return card;
+  }
+
+  createButton(label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.className = 'btn';
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener('click', () => this.runAction(label, onClick));
+    return button;
+  }
+
+  // Card actions hit IndexedDB, which can fail (quota, private browsing, or a record
+  // deleted in another tab); report it and refresh the cards
+  async runAction(label, action) {
+    try {
+      await action();
+    } catch (error) {
+      console.error('Gallery error:', error);
+      alert(`Failed to ${label.toLowerCase()} project: ${error.message}`);
+      await this.render();
+    }
+  }
+
+  async rename(record) {
+    const name = prompt('Project name', record.name);
+    if (name === null || !name.trim()) return;
+
+    // The open project is renamed through its manager too, so autosave keeps the new name
+    if (record.id === this.projectManager.projectId) {
+      this.projectManager.setName(name);
+    }
+    await this.projectStore.rename(record.id, name.trim());
+    await this.render();
+  }
+
+  async duplicate(record) {
+    await this.projectStore.duplicate(record.id);
+    await this.render();
+  }
+
+  async delete(record) {
+    if (!confirm(`Delete "${record.name}"? This cannot be undone.`)) return;
+
+    await this.projectStore.delete(record.id);
+    await this.render();
+  }
+}
@@ -1,59 +1,189 @@
 export class HistoryManager {
-  constructor(maxHistory = 50) {
-    this.history = [];
-    this.currentIndex = -1;
+  constructor(voxelWorld, maxHistory = 50) {
+    this.voxelWorld = voxelWorld;
     this.maxHistory = maxHistory;
+
+    // Each step is { label, cells: [{ x, y, z, before, after }], states } where cell
+    // before/after are color indices (-1 = empty), so memory scales with the edit, not
+    // the model. states holds other changes made in the step (grid bounds, palette) as
+    // [{ before, after, restore }].
+    this.undoStack = [];
+    this.redoStack = [];
+
+    this.openStep = null;
+    this.isApplying = false;
+    this.listeners = new Set();
+
+    this.voxelWorld.subscribe((world, change) => this.record(change));
+  }
+
+  // Start grouping every following edit into one named undo step
+  beginStep(label) {
+    if (this.openStep) this.endStep();
+    this.openStep = { label, cells: new Map(), states: new Map() };
+  }
+
+  // Close the open step; steps without net changes are dropped
+  endStep() {
+    const step = this.openStep;
+    if (!step) return;
+
+    this.openStep = null;
+
+    // Cells edited back to where they started contribute nothing
+    const cells = Array.from(step.cells.values()).filter((cell) => cell.before !== cell.after);
+    const states = Array.from(step.states.values());
+    if (cells.length > 0 || states.length > 0) {
+      this.push({ label: step.label, cells, states });
+    }
   }
 
-  // Save current state to history
-  saveState(state) {
-    // Remove any future states if we're not at the end
-    if (this.currentIndex < this.history.length - 1) {
-      this.history = this.history.slice(0, this.currentIndex + 1);
+  // Run fn as a single undo step
+  step(label, fn) {
+    this.beginStep(label);
+    try {
+      return fn();
+    } finally {
+      this.endStep();
     }
+  }
+
+  isStepOpen() {
+    return this.openStep !== null;
+  }
 
-    // Add new state
-    this.history.push(state);
-    this.currentIndex = this.history.length - 1;
+  // Record a change to something other than voxels (e.g. grid bounds or palette) in the
+  // open step; undo and redo pass restore the value from before or after it. Repeated
+  // changes under the same key keep the first before and the last after.
+  recordState(key, before, after, restore) {
+    if (this.isApplying || !this.openStep) return;
 
-    // Remove old states if we exceed max
-    if (this.history.length > this.maxHistory) {
-      this.history.shift();
-      this.currentIndex--;
+    const state = this.openStep.states.get(key);
+    if (state) {
+      state.after = after;
+    } else {
+      this.openStep.states.set(key, { before, after, restore });
     }
   }
 
-  // Undo - return previous state
-  undo() {
-    if (this.currentIndex > 0) {
-      this.currentIndex--;
-      return this.history[this.currentIndex];
+  // Collect a VoxelWorld change event into the open step (or a step of its own)
+  record(change) {
+    if (this.isApplying || !change) return;
+
+    const standalone = !this.openStep;
+    if (standalone) this.beginStep('Edit');
+
+    const cells = this.openStep.cells;
+    const track = (x, y, z, before, after) => {
+      const key = this.voxelWorld.getKey(x, y, z);
+      const cell = cells.get(key);
+
+      if (cell) {
+        cell.after = after;
+      } else {
+        cells.set(key, { x, y, z, before, after });
+      }
+    };
+
+    for (const { x, y, z, colorIndex } of change.added) track(x, y, z, -1, colorIndex);
+    for (const { x, y, z, colorIndex } of change.removed) track(x, y, z, colorIndex, -1);
+    for (const { x, y, z, colorIndex, previousColorIndex } of change.recolored) {
+      track(x, y, z, previousColorIndex, colorIndex);
     }
-    return null;
+
+    if (standalone) this.endStep();
   }
 
-  // Redo - return next state
-  redo() {
-    if (this.currentIndex < this.history.length - 1) {
-      this.currentIndex++;
-      return this.history[this.currentIndex];
+  // Add a finished step, dropping any redo branch
+  push(step) {
+    this.undoStack.push(step);
+    this.redoStack = [];
+
+    // Remove old steps if we exceed max
+    if (this.undoStack.length > this.maxHistory) {
+      this.undoStack.shift();
+    }
+
+    this.notifyListeners();
+  }
+
+  // Write one side of a step back into the world as a single batch. Other state is
+  // restored around the voxels: undo removes voxels before shrinking the grid or
+  // palette they used, redo grows those before adding voxels back.
+  apply(step, side) {
+    const restoreStates = () => {
+      for (const state of step.states ?? []) state.restore(state[side]);
+    };
+
+    this.isApplying = true;
+    try {
+      if (side === 'after') restoreStates();
+      this.voxelWorld.batch((world) => {
+        for (const cell of step.cells) {
+          const colorIndex = cell[side];
+          if (colorIndex < 0) {
+            world.removeVoxel(cell.x, cell.y, cell.z);
+          } else {
+            world.addVoxel(cell.x, cell.y, cell.z, colorIndex);
+          }
+        }
+      });
+      if (side === 'before') restoreStates();
+    } finally {
+      this.isApplying = false;
     }
-    return null;
+  }
+
+  // Undo - revert the latest step, returning its label
+  undo() {
+    this.endStep();
+    const step = this.undoStack.pop();
+    if (!step) return null;
+
+    this.apply(step, 'before');
+    this.redoStack.push(step);
+    this.notifyListeners();
+    return step.label;
+  }
+
+  // Redo - reapply the latest undone step, returning its label
+  redo() {
+    this.endStep();
+    const step = this.redoStack.pop();
+    if (!step) return null;
+
+    this.apply(step, 'after');
+    this.undoStack.push(step);
+    this.notifyListeners();
+    return step.label;
   }
 
   // Check if undo is available
   canUndo() {
-    return this.currentIndex > 0;
+    return this.undoStack.length > 0;
   }
 
   // Check if redo is available
   canRedo() {
-    return this.currentIndex < this.history.length - 1;
+    return this.redoStack.length > 0;
   }
 
   // Clear history
   clear() {
-    this.history = [];
-    this.currentIndex = -1;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openStep = null;
+  }
+
+  // Subscribe to committed steps, undo and redo
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    for (const listener of this.listeners) {
+      listener(this);
+    }
   }
 }
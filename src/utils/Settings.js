@@ -0,0 +1,29 @@
+import { SETTINGS_STORAGE_KEY } from './constants.js';
+
+// User preferences (not part of any project), kept in localStorage across sessions
+export class Settings {
+  static get(key, fallback) {
+    const value = Settings.load()[key];
+    return value === undefined ? fallback : value;
+  }
+
+  static set(key, value) {
+    const settings = Settings.load();
+    settings[key] = value;
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      // Storage can be unavailable (private browsing, quota); the choice lasts this session
+      console.warn('Could not save settings:', error);
+    }
+  }
+
+  static load() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+      return settings && typeof settings === 'object' ? settings : {};
+    } catch {
+      return {};
+    }
+  }
+}
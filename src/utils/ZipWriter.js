@@ -0,0 +1,112 @@
+// Minimal ZIP archive writer (stored entries, no compression) for bundling
+// multi-file downloads such as OBJ + MTL
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  // Add a file from a string, ArrayBuffer or Uint8Array
+  addFile(name, content) {
+    let data;
+    if (typeof content === 'string') {
+      data = this.encoder.encode(content);
+    } else if (content instanceof ArrayBuffer) {
+      data = new Uint8Array(content);
+    } else {
+      data = content;
+    }
+
+    this.entries.push({ name: this.encoder.encode(name), data, crc: this.crc32(data) });
+  }
+
+  crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Build the archive as an ArrayBuffer
+  toArrayBuffer() {
+    const localSize = this.entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = this.entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const buffer = new ArrayBuffer(localSize + centralSize + 22);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    // DOS timestamp for "now"
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    let offset = 0;
+    const offsets = [];
+
+    for (const entry of this.entries) {
+      offsets.push(offset);
+      view.setUint32(offset, 0x04034b50, true); // Local file header
+      view.setUint16(offset + 4, 20, true); // Version needed
+      view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+      view.setUint16(offset + 8, 0, true); // Stored
+      view.setUint16(offset + 10, time, true);
+      view.setUint16(offset + 12, date, true);
+      view.setUint32(offset + 14, entry.crc, true);
+      view.setUint32(offset + 18, entry.data.length, true);
+      view.setUint32(offset + 22, entry.data.length, true);
+      view.setUint16(offset + 26, entry.name.length, true);
+      view.setUint16(offset + 28, 0, true);
+      bytes.set(entry.name, offset + 30);
+      bytes.set(entry.data, offset + 30 + entry.name.length);
+      offset += 30 + entry.name.length + entry.data.length;
+    }
+
+    const centralStart = offset;
+    this.entries.forEach((entry, i) => {
+      view.setUint32(offset, 0x02014b50, true); // Central directory header
+      view.setUint16(offset + 4, 20, true); // Version made by
+      view.setUint16(offset + 6, 20, true); // Version needed
+      view.setUint16(offset + 8, 0x0800, true);
+      view.setUint16(offset + 10, 0, true);
+      view.setUint16(offset + 12, time, true);
+      view.setUint16(offset + 14, date, true);
+      view.setUint32(offset + 16, entry.crc, true);
+      view.setUint32(offset + 20, entry.data.length, true);
+      view.setUint32(offset + 24, entry.data.length, true);
+      view.setUint16(offset + 28, entry.name.length, true);
+      view.setUint16(offset + 30, 0, true); // Extra length
+      view.setUint16(offset + 32, 0, true); // Comment length
+      view.setUint16(offset + 34, 0, true); // Disk number
+      view.setUint16(offset + 36, 0, true); // Internal attributes
+      view.setUint32(offset + 38, 0, true); // External attributes
+      view.setUint32(offset + 42, offsets[i], true);
+      bytes.set(entry.name, offset + 46);
+      offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true); // End of central directory
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, this.entries.length, true);
+    view.setUint16(offset + 10, this.entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    view.setUint16(offset + 20, 0, true);
+
+    return buffer;
+  }
+}
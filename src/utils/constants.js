@@ -1,7 +1,26 @@
 // Grid configuration
-export const GRID_SIZE = 16;
+export const GRID_SIZE = 16; // Default bounds for a new project
+export const GRID_SIZE_OPTIONS = [16, 32, 64, 128, 256];
+export const MAX_GRID_SIZE = 256;
+export const CHUNK_SIZE = 16;
 export const VOXEL_SIZE = 1;
-export const MAX_VOXELS = GRID_SIZE * GRID_SIZE * GRID_SIZE;
+export const INITIAL_VOXEL_CAPACITY = 4096; // Instanced buffers grow from here
+
+// Export settings
+export const DEFAULT_STL_SCALE = 5; // Millimetres per voxel
+
+// Local project storage
+export const AUTOSAVE_INTERVAL = 5000; // ms between autosaves of unsaved edits
+export const THUMBNAIL_SIZE = 160; // Gallery thumbnail edge in pixels
+export const MAX_SHARE_HASH_LENGTH = 8000; // Longer links get truncated by chat apps and servers
+
+// Render dialog
+export const MAX_SUPERSAMPLE = 4;
+export const DEFAULT_TURNTABLE_FRAMES = 36;
+export const DEFAULT_TURNTABLE_FPS = 12;
+
+// Blueprint export
+export const BLUEPRINT_MAX_IMAGE_SIZE = 4096; // Longest side of a layer PNG in pixels
 
 // Vibrant color palette
 export const COLORS = [
@@ -14,14 +33,21 @@ export const COLORS = [
   0x0088ff, // Electric Blue
   0xff0000, // Red
 ];
+export const MAX_PALETTE_SIZE = 255; // Chunks store colorIndex + 1 in a byte
 
 // Gesture detection thresholds
 export const PINCH_THRESHOLD = 0.07;
+export const PINCH_RELEASE_THRESHOLD = 0.1; // A pinch holds until the fingertips are this far apart
 export const FIST_THRESHOLD = 0.25;
 export const PALM_THRESHOLD = 0.12;
 export const PEACE_THRESHOLD = 0.08;
 export const SWIPE_VELOCITY = 0.15;
 export const SWIPE_MIN_DISTANCE = 0.2;
+export const FINGER_EXTENDED_RATIO = 1.2; // Tip-to-knuckle over joint-to-knuckle length of a straight finger
+export const FIST_RELEASE_RATIO = 1.4; // In a fist, fingers must straighten this far to count as extended
+
+// One Euro filter on the landmark that positions the cursor (see OneEuroFilter)
+export const CURSOR_FILTER = { minCutoff: 1, beta: 10, dCutoff: 1 };
 
 // Debounce times (ms)
 export const ACTION_DEBOUNCE = 300;
@@ -35,6 +61,59 @@ export const ORBIT_SENSITIVITY = 2;
 export const ZOOM_SENSITIVITY = 0.5;
 export const MIN_ZOOM = 10;
 export const MAX_ZOOM = 50;
+export const CAMERA_MAX_PITCH = Math.PI / 2 - 0.01; // Just short of straight down, where lookAt breaks
+export const CAMERA_TRANSITION_MS = 450;
+export const VIEW_CHANGE_DEBOUNCE = 600;
+
+// Two-handed gestures
+export const TWO_HAND_ROTATE_SENSITIVITY = 1; // Orbit radians per radian the two pinches are twisted
+export const TWO_HAND_MIN_SPREAD = 0.05; // Closer pinches are ignored; their angle is mostly noise
+export const CLEAR_HOLD_TIME = 1500; // ms both fists must be held to clear the scene
+
+// Depth mode: the cursor slides along the view ray through the grid as the hand moves
+// toward or away from the camera. Two signals are blended: the hand's apparent size
+// (wrist to middle knuckle in normalized image units) and the knuckles' landmark z
+// relative to the wrist. A hand close to the camera reaches deepest.
+export const DEFAULT_DEPTH_RANGE = { // Hand size and knuckle z at the two ends, until calibrated
+  near: { size: 0.25, z: -0.06 },
+  far: { size: 0.12, z: -0.03 },
+};
+export const DEPTH_SMOOTHING = 0.3; // Share of each new sample let through; both signals jitter a lot
+export const DEPTH_Z_WEIGHT = 0.3; // Share of the depth taken from knuckle z, the rest from size
+export const DEPTH_Z_MIN_RANGE = 0.01; // Narrower calibrated knuckle z ranges are ignored (size only)
+export const DEPTH_CALIBRATION_DELAY = 2000; // ms to get the hand in place before each calibration step
+export const DEPTH_CALIBRATION_TIME = 1000; // ms of samples per calibration step
+export const DEPTH_MIN_RANGE = 1.2; // The near size must be at least this many times the far size
+export const DEPTH_TOGGLE_KEY = 'd';
+
+// Camera projections
+export const PROJECTIONS = {
+  PERSPECTIVE: 'perspective',
+  ORTHOGRAPHIC: 'orthographic',
+};
+export const PROJECTION_TOGGLE_KEY = '5';
+
+// Cross-section slicing: HUD cycle order, level keys (x/y/z pick the axis) and hand
+// travel (normalized image height) per layer for the open palm
+export const SLICE_AXES = ['y', 'x', 'z'];
+export const SLICE_DOWN_KEY = '[';
+export const SLICE_UP_KEY = ']';
+export const SLICE_GESTURE_STEP = 0.05;
+
+// Work plane that placement in empty space snaps to: axis cycle order and keys
+export const WORK_PLANE_AXES = ['y', 'x', 'z'];
+export const WORK_PLANE_AXIS_KEY = 'p';
+export const WORK_PLANE_DOWN_KEY = 'PageDown';
+export const WORK_PLANE_UP_KEY = 'PageUp';
+
+// Preset camera views as orbit angles, with their keyboard shortcut.
+// Front looks along -z, side along -x.
+export const CAMERA_VIEWS = {
+  FRONT: { label: 'Front', key: '1', angleX: 0, angleY: 0 },
+  SIDE: { label: 'Side', key: '2', angleX: Math.PI / 2, angleY: 0 },
+  TOP: { label: 'Top', key: '3', angleX: 0, angleY: CAMERA_MAX_PITCH },
+  ISO: { label: 'Iso', key: '4', angleX: Math.PI / 4, angleY: Math.atan(Math.SQRT1_2) },
+};
 
 // Gesture types
 export const GESTURES = {
@@ -46,8 +125,49 @@ export const GESTURES = {
   PEACE: 'PEACE',
   SWIPE_LEFT: 'SWIPE_LEFT',
   SWIPE_RIGHT: 'SWIPE_RIGHT',
+  SWIPE_UP: 'SWIPE_UP',
+  SWIPE_DOWN: 'SWIPE_DOWN',
+  TWO_PINCH: 'TWO_PINCH',
+  TWO_FIST: 'TWO_FIST',
 };
 
+// Gesture state machine timing (ms): how long a gesture must be seen before it takes
+// over (enter), and how long the current one outlasts frames classified as something
+// else (exit). Placing and deleting gestures wait longest, so one stray frame does nothing.
+export const GESTURE_TIMING = {
+  [GESTURES.NONE]: { enter: 150, exit: 0 },
+  [GESTURES.POINT]: { enter: 80, exit: 120 },
+  [GESTURES.PINCH]: { enter: 60, exit: 150 },
+  [GESTURES.FIST]: { enter: 150, exit: 150 },
+  [GESTURES.PALM]: { enter: 100, exit: 150 },
+  [GESTURES.PEACE]: { enter: 150, exit: 100 },
+};
+export const DEFAULT_GESTURE_TIMING = { enter: 100, exit: 100 };
+
+// Actions a custom gesture can be bound to, each performed by the built-in gesture that
+// has it; once: fire when the pose starts rather than for as long as it is held
+export const GESTURE_ACTIONS = {
+  draw: { label: 'Draw (as point)', gesture: GESTURES.POINT },
+  place: { label: 'Place (as pinch)', gesture: GESTURES.PINCH },
+  delete: { label: 'Delete (as fist)', gesture: GESTURES.FIST },
+  orbit: { label: 'Orbit (as open palm)', gesture: GESTURES.PALM },
+  nextColor: { label: 'Next color (as peace)', gesture: GESTURES.PEACE },
+  undo: { label: 'Undo', gesture: GESTURES.SWIPE_LEFT, once: true },
+  redo: { label: 'Redo', gesture: GESTURES.SWIPE_RIGHT, once: true },
+  nextView: { label: 'Next camera view', gesture: GESTURES.SWIPE_UP, once: true },
+  previousView: { label: 'Previous camera view', gesture: GESTURES.SWIPE_DOWN, once: true },
+  none: { label: 'Nothing (show name only)', gesture: GESTURES.NONE },
+};
+
+// Custom gesture training and kNN classification (see CustomGestures)
+export const CUSTOM_GESTURE_RECORD_DELAY = 2000; // ms to strike the pose before recording
+export const CUSTOM_GESTURE_RECORD_TIME = 3000; // ms of recorded frames
+export const CUSTOM_GESTURE_MIN_SAMPLES = 10;
+export const CUSTOM_GESTURE_MAX_SAMPLES = 60; // Kept per gesture, spread over the recording
+export const CUSTOM_GESTURE_NEIGHBORS = 5; // k
+export const CUSTOM_GESTURE_RADIUS_SCALE = 3; // Match radius, in multiples of the samples' own spread
+export const CUSTOM_GESTURE_MIN_RADIUS = 0.15;
+
 // Mode types
 export const MODES = {
   PLACE: 'PLACE MODE',
@@ -56,6 +176,32 @@ export const MODES = {
   COLOR: 'COLOR MODE',
 };
 
+// Hands as the user's own left and right, not as they appear in the camera image.
+// The dominant hand drives the cursor and tools; the other (off) hand holds modifiers
+// and picks from menus.
+export const HANDS = {
+  LEFT: 'left',
+  RIGHT: 'right',
+};
+export const DEFAULT_DOMINANT_HAND = HANDS.RIGHT;
+
+// What an off-hand gesture switches the dominant hand to while it is held
+export const MODIFIER_GESTURES = {
+  [GESTURES.FIST]: MODES.DELETE,
+};
+
+// User preferences saved in the browser (see Settings)
+export const SETTINGS_STORAGE_KEY = 'gesture-voxel-editor:settings';
+
+// Baked ambient occlusion: vertex brightness per ao level (0 = fully occluded, 3 = open)
+export const AO_LEVELS = [0.45, 0.65, 0.82, 1];
+
+// Voxel render paths
+export const RENDER_MODES = {
+  INSTANCED: 'instanced', // One cube instance per voxel (cyber look)
+  CHUNKED: 'chunked', // Greedy-meshed geometry per chunk, for large grids
+};
+
 // Hand landmark indices
 export const HAND_LANDMARKS = {
   WRIST: 0,